@@ -0,0 +1,34 @@
+const express = require('express');
+const crypto = require('crypto');
+
+function tokensMatch(given, expected) {
+    const a = Buffer.from(given);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Routes for /api/admin. Every request needs the token as "Authorization: Bearer <token>",
+// without a configured token the routes are turned off altogether.
+function createAdminRouter({ token, getRooms }) {
+    const router = express.Router();
+
+    router.use('/admin', (req, res, next) => {
+        if (!token) {
+            return res.status(404).json({ error: 'Admin API is disabled' });
+        }
+        const [scheme, given] = (req.get('Authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !given || !tokensMatch(given, token)) {
+            return res.status(401).json({ error: 'Invalid admin token' });
+        }
+        next();
+    });
+
+    router.get('/admin/rooms', (req, res) => {
+        const rooms = getRooms();
+        res.json({ count: rooms.length, rooms });
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
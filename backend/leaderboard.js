@@ -0,0 +1,146 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { createRateLimiter } = require('./rateLimit');
+const { getMaxDistance, getMaxScore } = require('./runLimits');
+const { logger } = require('./logger');
+
+const MODES = ['single', 'multiplayer'];
+const PERIODS = ['daily', 'all'];
+const MAX_NAME_LENGTH = 16;
+const MAX_DURATION = 6 * 60 * 60; // Seconds, longer runs are rejected outright
+const KEEP_ALL_TIME = 100;        // Best entries kept per mode, plus everything from the last day
+
+function startOfToday() {
+    const now = new Date();
+    return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+}
+
+// Returns the cleaned up entry, or { error } when the submission can't be a real run
+function validateSubmission(body) {
+    if (!body || typeof body !== 'object') {
+        return { error: 'Missing run data' };
+    }
+
+    const name = typeof body.name === 'string' ? body.name.replace(/[^\w \-.]/g, '').trim().slice(0, MAX_NAME_LENGTH) : '';
+    const { mode, score, distance, duration } = body;
+
+    if (!name) return { error: 'Name is required' };
+    if (!MODES.includes(mode)) return { error: 'Unknown mode' };
+    if (![score, distance, duration].every(value => Number.isFinite(value) && value >= 0)) {
+        return { error: 'Score, distance and duration must be positive numbers' };
+    }
+    if (!Number.isInteger(score)) return { error: 'Score must be a whole number' };
+    if (duration === 0 || duration > MAX_DURATION) return { error: 'Impossible run duration' };
+    if (distance > getMaxDistance(duration)) return { error: 'Distance is impossible for the run duration' };
+    if (score > getMaxScore(distance, duration)) return { error: 'Score is impossible for the run distance' };
+
+    return {
+        entry: {
+            name,
+            mode,
+            score,
+            distance: Math.round(distance),
+            duration: Math.round(duration),
+            date: new Date().toISOString()
+        }
+    };
+}
+
+// Scores kept in a JSON file, loaded once and rewritten after every submission
+class LeaderboardStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.entries = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.entries = Array.isArray(data.entries) ? data.entries : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to read leaderboard, starting empty', { filePath: this.filePath, error });
+            }
+            this.entries = [];
+        }
+    }
+
+    save() {
+        // Write to a temporary file first so a crash can't leave a half-written leaderboard
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ entries: this.entries }));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    add(entry) {
+        this.entries.push(entry);
+        this.prune();
+        this.save();
+    }
+
+    // Keep the best entries of each mode and anything recent enough for the daily board
+    prune() {
+        const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+        const keep = new Set();
+        for (const mode of MODES) {
+            this.entries
+                .filter(entry => entry.mode === mode)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, KEEP_ALL_TIME)
+                .forEach(entry => keep.add(entry));
+        }
+        this.entries = this.entries.filter(entry => keep.has(entry) || Date.parse(entry.date) >= dayAgo);
+    }
+
+    getTop(mode, period, limit) {
+        const since = period === 'daily' ? startOfToday() : 0;
+        return this.entries
+            .filter(entry => entry.mode === mode && Date.parse(entry.date) >= since)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+// Routes for /api/scores
+function createLeaderboardRouter({ filePath }) {
+    const store = new LeaderboardStore(filePath);
+    const router = express.Router();
+
+    router.use(express.json({ limit: '10kb' }));
+
+    router.get('/scores', (req, res) => {
+        const mode = req.query.mode || 'single';
+        const period = req.query.period || 'all';
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+        if (!MODES.includes(mode) || !PERIODS.includes(period)) {
+            return res.status(400).json({ error: `mode must be one of ${MODES.join(', ')} and period one of ${PERIODS.join(', ')}` });
+        }
+        res.json({ mode, period, scores: store.getTop(mode, period, limit) });
+    });
+
+    // At most 5 submissions per IP per minute
+    router.post('/scores', createRateLimiter({ windowMs: 60 * 1000, max: 5 }), (req, res) => {
+        const { entry, error } = validateSubmission(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        try {
+            store.add(entry);
+        } catch (saveError) {
+            logger.error('Failed to save leaderboard', { error: saveError });
+            return res.status(500).json({ error: 'Could not save the score' });
+        }
+
+        const rank = store.getTop(entry.mode, 'all', Infinity).indexOf(entry) + 1;
+        res.status(201).json({ entry, rank });
+    });
+
+    return router;
+}
+
+module.exports = { createLeaderboardRouter, validateSubmission };
@@ -0,0 +1,31 @@
+// Structured logging: one JSON object per line, so logs can be searched by roomId, playerId and so on.
+// Errors are written to stderr, everything else to stdout.
+function serialize(value) {
+    if (value instanceof Error) {
+        return { message: value.message, code: value.code, stack: value.stack };
+    }
+    return value;
+}
+
+function write(level, message, fields = {}) {
+    const entry = { time: new Date().toISOString(), level, message };
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined) {
+            entry[key] = serialize(value);
+        }
+    }
+    const line = JSON.stringify(entry);
+    if (level === 'error' || level === 'warn') {
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+}
+
+const logger = {
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
+
+module.exports = { logger };
@@ -0,0 +1,99 @@
+const WebSocket = require('ws');
+
+const MATCH_SIZE = 2; // Players per quick match room
+const CONTROL_SCHEMES = ['keyboard', 'pose', 'touch'];
+
+// Public matchmaking. Players wait in a queue per key until there are enough of them for a room:
+// the control scheme for players who only want opponents using the same controls, otherwise 'any'.
+class MatchmakingQueue {
+    constructor({ matchSize = MATCH_SIZE, onMatch }) {
+        this.matchSize = matchSize;
+        this.onMatch = onMatch; // Called with the matched players, in the order they queued
+        this.queues = new Map(); // key -> players waiting, oldest first
+    }
+
+    static getKey(controlScheme, sameControls) {
+        return sameControls && CONTROL_SCHEMES.includes(controlScheme) ? controlScheme : 'any';
+    }
+
+    join(ws, key) {
+        this.leave(ws);
+        const queue = this.queues.get(key) ?? [];
+        queue.push(ws);
+        this.queues.set(key, queue);
+        ws.queueKey = key;
+        this.match(key);
+    }
+
+    // Returns true if the player was queued
+    leave(ws) {
+        const key = ws.queueKey;
+        if (!key) return false;
+        ws.queueKey = null;
+
+        const queue = this.queues.get(key) ?? [];
+        const index = queue.indexOf(ws);
+        if (index !== -1) {
+            queue.splice(index, 1);
+        }
+        if (queue.length === 0) {
+            this.queues.delete(key);
+        }
+        this.sendStatus(key);
+        return index !== -1;
+    }
+
+    // A resumed session takes the old socket's place in the queue, so the dead socket can't be matched.
+    // Returns true if the player was queued.
+    replace(previous, ws) {
+        const key = previous.queueKey;
+        previous.queueKey = null;
+        const queue = key ? this.queues.get(key) ?? [] : [];
+        const index = queue.indexOf(previous);
+        if (index === -1) {
+            ws.queueKey = null;
+            return false;
+        }
+        queue[index] = ws;
+        ws.queueKey = key;
+        this.match(key);
+        return true;
+    }
+
+    match(key) {
+        const queue = (this.queues.get(key) ?? []).filter(player => player.readyState === WebSocket.OPEN);
+        while (queue.length >= this.matchSize) {
+            const players = queue.splice(0, this.matchSize);
+            players.forEach(player => {
+                player.queueKey = null;
+            });
+            this.onMatch(players);
+        }
+
+        if (queue.length > 0) {
+            this.queues.set(key, queue);
+        } else {
+            this.queues.delete(key);
+        }
+        this.sendStatus(key);
+    }
+
+    // Everyone still waiting hears how many are in their queue
+    sendStatus(key) {
+        const queue = this.queues.get(key) ?? [];
+        const data = JSON.stringify({
+            type: 'queueStatus',
+            queued: true,
+            controlScheme: key,
+            waiting: queue.length,
+            matchSize: this.matchSize
+        });
+        queue.forEach(player => {
+            if (player.readyState === WebSocket.OPEN) {
+                player.send(data);
+            }
+        });
+    }
+}
+
+module.exports = { MatchmakingQueue, MATCH_SIZE };
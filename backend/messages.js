@@ -0,0 +1,75 @@
+// Shape of every JSON message a client may send, checked before the server acts on it.
+// Each field is { type, optional, maxLength }. Fields not listed are ignored, and a missing
+// optional field may also be null. Anything that doesn't match is refused as a whole.
+const MAX_STRING_LENGTH = 64;
+
+const MESSAGE_SCHEMAS = {
+    init: {
+        clientType: { type: 'string', optional: true },
+        protocolVersion: { type: 'number' },
+        sessionToken: { type: 'string', optional: true }
+    },
+    createRoom: {
+        maxPlayers: { type: 'number', optional: true },
+        name: { type: 'string', optional: true }
+    },
+    joinRoom: {
+        roomId: { type: 'string', maxLength: 16 },
+        name: { type: 'string', optional: true },
+        spectate: { type: 'boolean', optional: true }
+    },
+    findMatch: {
+        name: { type: 'string', optional: true },
+        controlScheme: { type: 'string', optional: true },
+        sameControls: { type: 'boolean', optional: true }
+    },
+    cancelMatch: {},
+    leaveRoom: {},
+    setReady: {
+        ready: { type: 'boolean' }
+    },
+    updateSettings: {
+        settings: { type: 'object' }
+    },
+    startGame: {},
+    gameOver: {
+        score: { type: 'number' },
+        distance: { type: 'number', optional: true }
+    }
+};
+
+function checkField(value, { type, optional = false, maxLength = MAX_STRING_LENGTH }) {
+    if (value === undefined || value === null) return optional;
+    switch (type) {
+        case 'string':
+            return typeof value === 'string' && value.length <= maxLength;
+        case 'number':
+            return Number.isFinite(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'object':
+            return typeof value === 'object' && !Array.isArray(value);
+    }
+    return false;
+}
+
+// Returns the parsed message, or { error } explaining why it was refused
+function validateMessage(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { error: 'Invalid message format' };
+    }
+
+    const schema = MESSAGE_SCHEMAS[data.type];
+    if (!schema) {
+        return { error: 'Unknown message type' };
+    }
+
+    for (const [field, rules] of Object.entries(schema)) {
+        if (!checkField(data[field], rules)) {
+            return { error: `Invalid ${field} in ${data.type}` };
+        }
+    }
+    return { message: data };
+}
+
+module.exports = { validateMessage };
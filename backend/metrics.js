@@ -0,0 +1,68 @@
+const RATE_WINDOW = 10; // Seconds the messages per second figure is averaged over
+
+// Counters for GET /metrics. Anything that can be read off the server's state (connections, rooms)
+// is passed to render as a gauge when scraped instead of being tracked here.
+class ServerMetrics {
+    constructor() {
+        this.startedAt = Date.now();
+        this.messagesTotal = 0;
+        this.errors = new Map(); // kind -> count
+        this.buckets = new Array(RATE_WINDOW + 1).fill(0); // Messages per second, the current one included
+        this.currentSecond = Math.floor(Date.now() / 1000);
+    }
+
+    countMessage(now = Date.now()) {
+        this.advance(now);
+        this.messagesTotal++;
+        this.buckets[this.currentSecond % this.buckets.length]++;
+    }
+
+    countError(kind) {
+        this.errors.set(kind, (this.errors.get(kind) ?? 0) + 1);
+    }
+
+    // Moves the window on to now, emptying the seconds nothing was counted in
+    advance(now) {
+        const second = Math.floor(now / 1000);
+        if (second - this.currentSecond >= this.buckets.length) {
+            this.buckets.fill(0);
+            this.currentSecond = second;
+        }
+        while (this.currentSecond < second) {
+            this.currentSecond++;
+            this.buckets[this.currentSecond % this.buckets.length] = 0;
+        }
+    }
+
+    // Average over the last complete seconds, the one in progress would drag it down
+    getMessagesPerSecond(now = Date.now()) {
+        this.advance(now);
+        const current = this.buckets[this.currentSecond % this.buckets.length];
+        const total = this.buckets.reduce((sum, count) => sum + count, 0) - current;
+        return total / RATE_WINDOW;
+    }
+
+    // Prometheus text exposition format
+    render(gauges = {}) {
+        const lines = [];
+        const add = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            samples.forEach(([labels, value]) => lines.push(`${name}${labels} ${value}`));
+        };
+
+        add('game_uptime_seconds', 'gauge', 'Seconds since the server started',
+            [['', Math.floor((Date.now() - this.startedAt) / 1000)]]);
+        for (const [name, { help, value }] of Object.entries(gauges)) {
+            add(`game_${name}`, 'gauge', help, [['', value]]);
+        }
+        add('game_messages_received_total', 'counter', 'WebSocket messages received from clients',
+            [['', this.messagesTotal]]);
+        add('game_messages_per_second', 'gauge', `WebSocket messages received per second, averaged over ${RATE_WINDOW} seconds`,
+            [['', this.getMessagesPerSecond()]]);
+        add('game_errors_total', 'counter', 'Errors by kind',
+            [...this.errors].map(([kind, count]) => [`{kind="${kind}"}`, count]));
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+module.exports = { ServerMetrics };
@@ -0,0 +1,98 @@
+const { getMaxDistance, getMaxScore } = require('./runLimits');
+
+const LATENCY_ALLOWANCE = 1;     // Seconds of slack for updates held up on the way
+const MAX_REJECTED_UPDATES = 10; // A player sending more impossible updates than this in a round is disqualified
+
+// Server-side record of each player's round: how far they got, their score and when they crashed.
+// Only progress that passes the checks below is kept, so the results don't depend on what
+// any one client claims. startSpeed is the room's speed setting, what every run in it starts at.
+function startRace(player, startSpeed, now = Date.now()) {
+    player.race = {
+        startSpeed,
+        startedAt: now,
+        lastUpdateAt: now,
+        distance: 0,
+        score: 0,
+        rejected: 0,
+        disqualified: false,
+        crashedAt: null
+    };
+}
+
+function isRacing(player) {
+    return Boolean(player.race) && player.race.crashedAt === null;
+}
+
+// Returns why the progress can't be real, or null if it's fine
+function checkProgress(race, distance, score, now) {
+    if (!Number.isFinite(distance)) return 'Invalid distance';
+    if (score !== undefined && (!Number.isInteger(score) || score < race.score)) return 'Invalid score';
+    if (distance < race.distance - 1) return 'Distance went backwards';
+
+    const elapsed = (now - race.startedAt) / 1000 + LATENCY_ALLOWANCE;
+    const maxDistance = time => getMaxDistance(time, race.startSpeed);
+    if (distance > maxDistance(elapsed)) return 'Distance is impossible for the time raced';
+
+    // Nor faster than top speed since the last accepted update
+    const sinceLastUpdate = Math.min((now - race.lastUpdateAt) / 1000 + LATENCY_ALLOWANCE, elapsed);
+    const maxStep = maxDistance(elapsed) - maxDistance(elapsed - sinceLastUpdate);
+    if (distance - race.distance > maxStep) return 'Distance jumped too far';
+
+    if (score !== undefined && score > getMaxScore(distance, elapsed)) return 'Score is impossible for the distance';
+    return null;
+}
+
+// Keeps the progress if it passes, otherwise returns the reason it was rejected
+function recordProgress(player, { distance, score }, now = Date.now()) {
+    const race = player.race;
+    if (!isRacing(player)) return 'Not racing';
+
+    const reason = checkProgress(race, distance, score, now);
+    if (reason) {
+        race.rejected++;
+        race.disqualified = race.rejected > MAX_REJECTED_UPDATES;
+        return reason;
+    }
+
+    race.distance = Math.max(race.distance, distance);
+    if (score !== undefined) {
+        race.score = score;
+    }
+    race.lastUpdateAt = now;
+    return null;
+}
+
+// A collision report, the player's run ends on their last accepted progress
+function finishRace(player, now = Date.now()) {
+    if (isRacing(player)) {
+        player.race.crashedAt = now;
+    }
+}
+
+// Ranked by score then distance, disqualified players last. Tied players share a rank.
+function getRaceResults(players, now = Date.now()) {
+    const results = [...players]
+        .filter(player => player.race)
+        .map(({ id, playerNumber, playerName, race }) => ({
+            playerId: id,
+            playerNumber,
+            name: playerName,
+            score: race.disqualified ? 0 : race.score,
+            distance: Math.round(race.distance),
+            timeAlive: Math.round(((race.crashedAt ?? now) - race.startedAt) / 100) / 10,
+            crashed: race.crashedAt !== null,
+            disqualified: race.disqualified
+        }))
+        .sort((a, b) => a.disqualified - b.disqualified || b.score - a.score ||
+            b.distance - a.distance || a.playerNumber - b.playerNumber);
+
+    results.forEach((entry, index) => {
+        const previous = results[index - 1];
+        const tied = previous && !entry.disqualified && !previous.disqualified &&
+            entry.score === previous.score && entry.distance === previous.distance;
+        entry.rank = tied ? previous.rank : index + 1;
+    });
+    return results;
+}
+
+module.exports = { startRace, isRacing, recordProgress, finishRace, getRaceResults };
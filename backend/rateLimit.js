@@ -0,0 +1,52 @@
+// Fixed-window request limiter keyed by client IP, kept in memory
+function createRateLimiter({ windowMs, max }) {
+    const clients = new Map(); // ip -> { count, windowStart }
+
+    // Forget clients whose window has ended so the map doesn't grow forever
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        for (const [ip, client] of clients) {
+            if (now - client.windowStart >= windowMs) {
+                clients.delete(ip);
+            }
+        }
+    }, windowMs);
+    cleanup.unref();
+
+    return (req, res, next) => {
+        const now = Date.now();
+        const ip = req.ip || req.socket.remoteAddress;
+        let client = clients.get(ip);
+        if (!client || now - client.windowStart >= windowMs) {
+            client = { count: 0, windowStart: now };
+            clients.set(ip, client);
+        }
+
+        client.count++;
+        if (client.count > max) {
+            res.set('Retry-After', Math.ceil((client.windowStart + windowMs - now) / 1000));
+            return res.status(429).json({ error: 'Too many requests, try again later' });
+        }
+        next();
+    };
+}
+
+
+// The same fixed window for a single WebSocket connection. Returns a function to call per message,
+// which returns false once the connection has sent more than max messages in the window.
+function createMessageLimiter({ windowMs, max }) {
+    let count = 0;
+    let windowStart = Date.now();
+
+    return () => {
+        const now = Date.now();
+        if (now - windowStart >= windowMs) {
+            count = 0;
+            windowStart = now;
+        }
+        count++;
+        return count <= max;
+    };
+}
+
+module.exports = { createRateLimiter, createMessageLimiter };
@@ -0,0 +1,418 @@
+const WebSocket = require('ws');
+const crypto = require('crypto');
+const { startRace, isRacing, getRaceResults } = require('./race');
+
+const DEFAULT_MAX_PLAYERS = 2;
+const MAX_ROOM_PLAYERS = 8;
+const MAX_SPECTATORS = 32;
+const MAX_NAME_LENGTH = 16;
+const COUNTDOWN_SECONDS = 3;
+const NEXT_ROUND_DELAY = 5000; // Milliseconds between a round ending and the next countdown
+
+// Host-adjustable settings, anything sent by the client is clamped to these limits
+const ROOM_SETTING_LIMITS = {
+    speed: { min: 0.1, max: 0.5, default: 0.2 },       // Starting run speed (obstacleSpeed)
+    spawnRate: { min: 0.01, max: 0.1, default: 0.03 }, // Obstacle frequency
+    difficulty: { min: 0.5, max: 3, default: 1 },      // How quickly harder obstacle mixes appear
+    rounds: { min: 1, max: 5, default: 1, integer: true },
+    // The course is laid out across the lanes, so everyone in a room has to use the same count
+    laneCount: { min: 2, max: 5, default: 2, integer: true },
+    laneSnapping: { boolean: true, default: false }
+};
+
+function getDefaultSettings() {
+    return Object.fromEntries(Object.entries(ROOM_SETTING_LIMITS).map(([key, limits]) => [key, limits.default]));
+}
+
+// Seed for the client-side course generator, shared by everyone in a room
+function createCourseSeed() {
+    return crypto.randomInt(0, 0x100000000);
+}
+
+function cleanPlayerName(name, playerNumber) {
+    const cleaned = typeof name === 'string' ? name.replace(/[^\w \-.]/g, '').trim().slice(0, MAX_NAME_LENGTH) : '';
+    return cleaned || `Player ${playerNumber}`;
+}
+
+// Public rooms come from matchmaking: they keep the default settings and start once everyone is ready
+function createRoom(host, maxPlayers, { isPublic = false } = {}) {
+    return {
+        host,
+        isPublic,
+        players: new Set(), // Add the host with addPlayer
+        spectators: new Set(), // Get everything the players do, but take no part
+        maxPlayers: Math.min(Math.max(parseInt(maxPlayers, 10) || DEFAULT_MAX_PLAYERS, 2), MAX_ROOM_PLAYERS),
+        settings: getDefaultSettings(),
+        gameStarted: false, // Set from the countdown until the match is over, no one can join meanwhile
+        round: 0,
+        roundOver: false,
+        matchScores: new Map(), // playerId -> score summed over the finished rounds of the match
+        countdownTimer: null,
+        nextRoundTimer: null,
+        createdAt: Date.now(),
+        lastActivity: Date.now() // Last message from anyone in the room, idle rooms are closed
+    };
+}
+
+// Lowest player number not in use, a player keeps theirs for as long as they stay in the room
+function getFreePlayerNumber(room) {
+    const taken = new Set([...room.players].map(player => player.playerNumber));
+    let playerNumber = 1;
+    while (taken.has(playerNumber)) {
+        playerNumber++;
+    }
+    return playerNumber;
+}
+
+function addPlayer(room, ws, name) {
+    ws.playerNumber = getFreePlayerNumber(room);
+    ws.playerName = cleanPlayerName(name, ws.playerNumber);
+    ws.ready = false;
+    ws.connected = true;
+    room.players.add(ws);
+}
+
+function addSpectator(room, ws) {
+    ws.isSpectator = true;
+    room.spectators.add(ws);
+}
+
+function removeSpectator(room, ws) {
+    ws.isSpectator = false;
+    room.spectators.delete(ws);
+    broadcastLobby(room);
+}
+
+// A player who reconnected takes over their slot (and the host role) with the new socket
+function replacePlayer(room, previous, ws) {
+    room.players.delete(previous);
+    ws.connected = true;
+    room.players.add(ws);
+    if (room.host === previous) {
+        room.host = ws;
+    }
+}
+
+// Dropped players keep their slot while they reconnect, everyone else is told so they can show it
+function setPlayerConnected(room, ws, connected) {
+    ws.connected = connected;
+    broadcast(room, {
+        type: 'playerConnection',
+        playerId: ws.id,
+        playerNumber: ws.playerNumber,
+        connected
+    }, ws);
+    broadcastLobby(room);
+}
+
+// Players who have crashed out of the current round while others race on
+function getOutPlayers(room) {
+    return [...room.players].filter(player => player.race && !isRacing(player)).map(player => player.id);
+}
+
+// What a spectator joining mid-match needs to start watching: the round, its course and how far along everyone is
+function getSpectateState(room) {
+    return {
+        gameStarted: room.gameStarted,
+        countingDown: Boolean(room.countdownTimer),
+        round: room.round,
+        rounds: room.settings.rounds,
+        roundOver: room.roundOver,
+        seed: room.seed,
+        settings: room.settings,
+        players: getPlayerList(room),
+        out: getOutPlayers(room),
+        progress: [...room.players].map(player => ({
+            playerId: player.id,
+            playerNumber: player.playerNumber,
+            position: player.lastPosition ?? null,
+            score: player.lastScore ?? 0
+        }))
+    };
+}
+
+// What a reconnecting player needs to pick up where they were
+function getResumeState(room, ws) {
+    return {
+        hostId: room.host.id,
+        gameStarted: room.gameStarted,
+        countingDown: Boolean(room.countdownTimer),
+        round: room.round,
+        rounds: room.settings.rounds,
+        roundOver: room.roundOver,
+        seed: room.seed,
+        settings: room.settings,
+        out: getOutPlayers(room),
+        // Last progress the player reported, to restore the run if the page was reloaded
+        run: ws.lastPosition ? { position: ws.lastPosition, score: ws.lastScore } : null
+    };
+}
+
+// What the admin API shows for a room
+function getRoomSummary(room, now = Date.now()) {
+    let state = 'lobby';
+    if (room.countdownTimer) {
+        state = 'countdown';
+    } else if (room.gameStarted) {
+        state = room.roundOver ? 'roundOver' : 'racing';
+    }
+    return {
+        state,
+        isPublic: room.isPublic,
+        players: room.players.size,
+        connectedPlayers: [...room.players].filter(player => player.connected).length,
+        maxPlayers: room.maxPlayers,
+        spectators: room.spectators.size,
+        round: room.round,
+        rounds: room.settings.rounds,
+        ageSeconds: Math.floor((now - room.createdAt) / 1000),
+        idleSeconds: Math.floor((now - room.lastActivity) / 1000)
+    };
+}
+
+function getPlayerList(room) {
+    return [...room.players]
+        .map(player => ({
+            playerId: player.id,
+            playerNumber: player.playerNumber,
+            name: player.playerName,
+            ready: player.ready,
+            connected: player.connected
+        }))
+        .sort((a, b) => a.playerNumber - b.playerNumber);
+}
+
+// Control messages are sent as JSON, encoded binary frames (Uint8Array) as they are
+function broadcast(room, message, except = null) {
+    const data = ArrayBuffer.isView(message) ? message : JSON.stringify(message);
+    for (const client of [...room.players, ...room.spectators]) {
+        if (client !== except && client.readyState === WebSocket.OPEN) {
+            client.send(data);
+        }
+    }
+}
+
+// Everything the lobby screen shows, sent whenever any of it changes
+function broadcastLobby(room) {
+    broadcast(room, {
+        type: 'lobbyUpdate',
+        hostId: room.host.id,
+        isPublic: room.isPublic,
+        maxPlayers: room.maxPlayers,
+        settings: room.settings,
+        players: getPlayerList(room),
+        spectators: room.spectators.size
+    });
+}
+
+function setReady(room, ws, ready) {
+    if (room.gameStarted) return;
+    ws.ready = Boolean(ready);
+    broadcastLobby(room);
+
+    // No host to press start in a public room
+    if (room.isPublic && canStart(room)) {
+        startMatch(room);
+    }
+}
+
+// Host only. Everyone has to ready up again so no one starts on settings they haven't seen.
+function updateSettings(room, ws, changes) {
+    if (room.host !== ws || room.isPublic || room.gameStarted || !changes || typeof changes !== 'object') return;
+
+    for (const [key, limits] of Object.entries(ROOM_SETTING_LIMITS)) {
+        if (limits.boolean) {
+            if (typeof changes[key] === 'boolean') {
+                room.settings[key] = changes[key];
+            }
+            continue;
+        }
+        const value = Number(changes[key]);
+        if (changes[key] === undefined || !Number.isFinite(value)) continue;
+        const clamped = Math.min(Math.max(value, limits.min), limits.max);
+        room.settings[key] = limits.integer ? Math.round(clamped) : clamped;
+    }
+    room.players.forEach(player => {
+        player.ready = false;
+    });
+    broadcastLobby(room);
+}
+
+function canStart(room) {
+    return !room.gameStarted && room.players.size >= 2 && [...room.players].every(player => player.ready && player.connected);
+}
+
+// Host only, once everyone is ready
+function requestStart(room, ws) {
+    if (room.host !== ws || !canStart(room)) return;
+    startMatch(room);
+}
+
+function startMatch(room) {
+    room.round = 0;
+    room.matchScores = new Map();
+    startCountdown(room);
+}
+
+// Counts down on the server so every client shows the same number at the same time
+function startCountdown(room) {
+    room.gameStarted = true;
+    let seconds = COUNTDOWN_SECONDS;
+    broadcast(room, { type: 'countdown', seconds, round: room.round + 1, rounds: room.settings.rounds });
+
+    room.countdownTimer = setInterval(() => {
+        seconds--;
+        if (seconds > 0) {
+            broadcast(room, { type: 'countdown', seconds, round: room.round + 1, rounds: room.settings.rounds });
+            return;
+        }
+        clearInterval(room.countdownTimer);
+        room.countdownTimer = null;
+        startRound(room);
+    }, 1000);
+}
+
+function startRound(room) {
+    room.round++;
+    room.roundOver = false;
+    room.seed = createCourseSeed();
+    const now = Date.now();
+    room.players.forEach(player => {
+        player.lastPosition = null;
+        player.lastScore = 0;
+        startRace(player, room.settings.speed, now);
+    });
+    broadcast(room, {
+        type: 'gameStart',
+        seed: room.seed,
+        round: room.round,
+        rounds: room.settings.rounds,
+        settings: room.settings,
+        players: getPlayerList(room)
+    });
+}
+
+// Ends the round once every player has crashed or left, the others race on until then.
+// Starts the next round or ends the match.
+function endRound(room) {
+    if (!room.gameStarted || room.roundOver || room.countdownTimer) return;
+    if ([...room.players].some(isRacing)) return;
+    room.roundOver = true;
+    broadcastRaceResult(room);
+
+    const matchOver = room.round >= room.settings.rounds;
+    broadcast(room, {
+        type: 'roundOver',
+        round: room.round,
+        rounds: room.settings.rounds,
+        matchOver,
+        nextRoundIn: matchOver ? 0 : NEXT_ROUND_DELAY / 1000
+    });
+
+    if (matchOver) {
+        resetToLobby(room);
+    } else {
+        room.nextRoundTimer = setTimeout(() => {
+            room.nextRoundTimer = null;
+            startCountdown(room);
+        }, NEXT_ROUND_DELAY);
+    }
+}
+
+// The round's results from the progress the server accepted, so every client shows the same winner
+function broadcastRaceResult(room) {
+    const results = getRaceResults(room.players);
+    results.forEach(entry => {
+        room.matchScores.set(entry.playerId, (room.matchScores.get(entry.playerId) ?? 0) + entry.score);
+    });
+
+    const match = [...room.players]
+        .map(player => ({
+            playerId: player.id,
+            playerNumber: player.playerNumber,
+            name: player.playerName,
+            score: room.matchScores.get(player.id) ?? 0
+        }))
+        .sort((a, b) => b.score - a.score || a.playerNumber - b.playerNumber);
+    match.forEach((entry, index) => {
+        entry.rank = index > 0 && entry.score === match[index - 1].score ? match[index - 1].rank : index + 1;
+    });
+
+    broadcast(room, {
+        type: 'raceResult',
+        round: room.round,
+        rounds: room.settings.rounds,
+        results,
+        match
+    });
+}
+
+function clearRoomTimers(room) {
+    clearInterval(room.countdownTimer);
+    clearTimeout(room.nextRoundTimer);
+    room.countdownTimer = null;
+    room.nextRoundTimer = null;
+}
+
+// Back to the lobby with everyone unready, for the next match
+function resetToLobby(room) {
+    clearRoomTimers(room);
+    room.gameStarted = false;
+    room.round = 0;
+    room.players.forEach(player => {
+        player.ready = false;
+    });
+    broadcastLobby(room);
+}
+
+// Returns true when the room is empty and can be deleted
+function removePlayer(room, ws) {
+    room.players.delete(ws);
+    if (room.players.size === 0) {
+        clearRoomTimers(room);
+        return true;
+    }
+
+    // Hand the room to the lowest numbered player left if the host went
+    if (room.host === ws) {
+        room.host = [...room.players].sort((a, b) => a.playerNumber - b.playerNumber)[0];
+    }
+    broadcast(room, {
+        type: 'playerLeft',
+        playerId: ws.id,
+        playerNumber: ws.playerNumber,
+        hostId: room.host.id,
+        players: getPlayerList(room)
+    });
+
+    // A match needs at least two players
+    if (room.gameStarted && room.players.size < 2) {
+        resetToLobby(room);
+    } else {
+        // Everyone left may already be out
+        endRound(room);
+        broadcastLobby(room);
+    }
+    return false;
+}
+
+module.exports = {
+    createRoom,
+    addPlayer,
+    replacePlayer,
+    removePlayer,
+    addSpectator,
+    removeSpectator,
+    getSpectateState,
+    MAX_SPECTATORS,
+    setPlayerConnected,
+    getResumeState,
+    getRoomSummary,
+    broadcast,
+    broadcastLobby,
+    setReady,
+    updateSettings,
+    requestStart,
+    clearRoomTimers,
+    endRound
+};
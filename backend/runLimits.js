@@ -0,0 +1,28 @@
+// Upper bounds on what a real run can reach, used to reject impossible leaderboard
+// submissions and multiplayer progress reports.
+// Limits from the client simulation: 60 ticks per second, a starting speed of at most the Game Speed
+// slider maximum (shared with the client so the two can't drift apart) for solo runs, or the room's
+// speed setting in a multiplayer race, growing by 0.0001 per tick,
+// all of it sped up by half when sprinting with pose controls. The score grows by round(speed * 10)
+// per tick, at most doubled by the score multiplier.
+const { gameSpeed } = require('../shared/settingLimits.json');
+
+const TICKS_PER_SECOND = 60;
+const MAX_BASE_SPEED = gameSpeed.max;
+const SPEED_GROWTH = 0.0001;
+const MAX_SPEED_FACTOR = 1.5;
+const MAX_SCORE_MULTIPLIER = 2;
+
+// startSpeed: the run's starting speed when the server knows it, as in a room
+function getMaxDistance(duration, startSpeed = MAX_BASE_SPEED) {
+    const ticks = duration * TICKS_PER_SECOND;
+    return MAX_SPEED_FACTOR * (ticks * startSpeed + SPEED_GROWTH * ticks * ticks / 2);
+}
+
+function getMaxScore(distance, duration) {
+    // Rounding can add up to half a point per tick
+    const ticks = duration * TICKS_PER_SECOND;
+    return MAX_SCORE_MULTIPLIER * (distance * 10 + ticks * 0.5);
+}
+
+module.exports = { getMaxDistance, getMaxScore };
@@ -3,6 +3,33 @@ const express = require('express');
 const http = require('http');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const { createLeaderboardRouter } = require('./leaderboard');
+const { SessionStore } = require('./sessions');
+const { MatchmakingQueue } = require('./matchmaking');
+const { isRacing, recordProgress, finishRace } = require('./race');
+const { validateMessage } = require('./messages');
+const { createMessageLimiter } = require('./rateLimit');
+const { createAdminRouter } = require('./admin');
+const { ServerMetrics } = require('./metrics');
+const { logger } = require('./logger');
+const {
+    createRoom, addPlayer, replacePlayer, removePlayer, setPlayerConnected, getResumeState, getRoomSummary,
+    addSpectator, removeSpectator, getSpectateState, MAX_SPECTATORS, broadcast, broadcastLobby, setReady, updateSettings, requestStart, endRound,
+    clearRoomTimers
+} = require('./rooms');
+
+const MAX_MESSAGE_SIZE = 4096;          // Bytes, larger frames close the connection
+const MAX_MESSAGES_PER_SECOND = 40;     // Position updates go at 20 a second, the rest is lobby traffic
+const MAX_DROPPED_MESSAGES = 200;       // A client still flooding after this many dropped messages is disconnected
+const HEARTBEAT_INTERVAL = 30 * 1000;   // Sockets that don't answer a ping within this are dropped
+const ROOM_IDLE_TIMEOUT = 15 * 60 * 1000;
+const ROOM_SWEEP_INTERVAL = 60 * 1000;
+
+// The wire protocol is shared with the client, which needs it as an ES module
+let protocol = null;
+const protocolReady = import('../shared/protocol.js').then((module) => {
+    protocol = module;
+});
 
 const app = express();
 const port = process.env.PORT || 8080;
@@ -17,47 +44,271 @@ app.use((req, res, next) => {
     next();
 });
 
+const metrics = new ServerMetrics();
+
+// Global leaderboard, registered before the client catch-all below
+app.use('/api', createLeaderboardRouter({
+    filePath: process.env.LEADERBOARD_FILE || path.join(__dirname, 'data', 'leaderboard.json')
+}));
+
+// Live rooms for operators, needs ADMIN_TOKEN to be set
+app.use('/api', createAdminRouter({
+    token: process.env.ADMIN_TOKEN,
+    getRooms: () => [...rooms].map(([roomId, room]) => ({ roomId, ...getRoomSummary(room) }))
+}));
+
+// Add a health check endpoint
+app.get('/health', (req, res) => {
+    res.status(200).send('OK');
+});
+
+// Prometheus scrape target
+app.get('/metrics', (req, res) => {
+    const roomList = [...rooms.values()];
+    res.type('text/plain; version=0.0.4').send(metrics.render({
+        connections: { help: 'Open WebSocket connections', value: wss.clients.size },
+        rooms: { help: 'Rooms, in the lobby or playing', value: roomList.length },
+        rooms_playing: { help: 'Rooms with a match in progress', value: roomList.filter(room => room.gameStarted).length },
+        players: { help: 'Players in rooms, including those reconnecting', value: roomList.reduce((sum, room) => sum + room.players.size, 0) },
+        spectators: { help: 'Spectators in rooms', value: roomList.reduce((sum, room) => sum + room.spectators.size, 0) }
+    }));
+});
+
 // Serve the game client for all routes (for client-side routing)
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, '../dist/index.html'));
 });
 
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ server, maxPayload: MAX_MESSAGE_SIZE });
 
 // Store active game rooms
 const rooms = new Map();
+const sessions = new SessionStore();
+
+function createRoomId() {
+    return uuidv4().substring(0, 6).toUpperCase();
+}
+
+// The room a player is in, kept on the socket and in their session for reconnects
+function assignRoom(ws, roomId) {
+    ws.roomId = roomId;
+    sessions.setRoom(ws.sessionToken, roomId);
+}
+
+// Quick match players go straight into a new public room, where the game starts once everyone is ready
+const matchmaking = new MatchmakingQueue({
+    onMatch: (players) => {
+        const roomId = createRoomId();
+        const room = createRoom(players[0], players.length, { isPublic: true });
+        rooms.set(roomId, room);
+        players.forEach(player => {
+            addPlayer(room, player, player.queuedName);
+            assignRoom(player, roomId);
+            player.send(JSON.stringify({
+                type: 'joinedRoom',
+                roomId,
+                playerId: player.id,
+                playerNumber: player.playerNumber,
+                matched: true
+            }));
+        });
+        broadcastLobby(room);
+        logger.info('Quick match room created', { roomId, players: players.length });
+    }
+});
+
+// Returns true if the room was deleted because no one is left in it
+function leaveRoom(roomId, ws) {
+    const room = rooms.get(roomId);
+    if (room && ws.isSpectator) {
+        removeSpectator(room, ws);
+        return false;
+    }
+    if (room && removePlayer(room, ws)) {
+        // Only spectators can be left to hear it
+        closeRoom(roomId, 'The room has closed');
+        return true;
+    }
+    return false;
+}
+
+// Deletes the room and tells everyone still in it why. Players keep their connection and session,
+// there's just no room to come back to.
+function closeRoom(roomId, reason) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    broadcast(room, { type: 'error', message: reason });
+    clearRoomTimers(room);
+    room.players.forEach(player => {
+        if (player.connected) {
+            assignRoom(player, null);
+        } else {
+            sessions.delete(player.sessionToken);
+        }
+    });
+    room.spectators.forEach(spectator => {
+        spectator.roomId = null;
+        spectator.isSpectator = false;
+    });
+    rooms.delete(roomId);
+    logger.info('Room deleted', { roomId, reason });
+}
+
+// The sender's room, only if they are one of its players. Everything that changes a room or is
+// relayed to it goes through here, so no one can act on a room they aren't in.
+function getPlayerRoom(ws) {
+    const room = rooms.get(ws.roomId);
+    return room && room.players.has(ws) ? room : null;
+}
+
+// Decode a player's binary position update and pass it on to the rest of the room,
+// re-encoded with their player number and the score delta-coded per sender
+function relayPlayerUpdate(ws, message) {
+    const room = getPlayerRoom(ws);
+    if (!room || !ws.updateDecoder) return;
+
+    const update = ws.updateDecoder.decode(message);
+    if (!update || !isRacing(ws)) return;
+
+    // Impossible progress is dropped rather than passed on
+    const rejected = recordProgress(ws, { distance: -update.position.z, score: update.score });
+    if (rejected) {
+        metrics.countError('rejected_update');
+        logger.warn('Rejected player update', { roomId: ws.roomId, playerId: ws.id, playerNumber: ws.playerNumber, reason: rejected });
+        return;
+    }
+
+    // Kept so the run can be restored if this player reconnects after a reload
+    ws.lastPosition = update.position;
+    ws.lastScore = ws.race.score;
+    broadcast(room, ws.updateEncoder.encode({ ...update, score: ws.lastScore, playerNumber: ws.playerNumber }), ws);
+}
 
 wss.on('connection', (ws, req) => {
-    console.log('New client connected from:', req.socket.remoteAddress);
-    let clientRoom = null;
+    ws.id = uuidv4();
+    logger.info('Client connected', { playerId: ws.id, address: req.socket.remoteAddress });
+    ws.roomId = null;
+    ws.isAlive = true;
+    ws.droppedMessages = 0;
+    const withinRateLimit = createMessageLimiter({ windowMs: 1000, max: MAX_MESSAGES_PER_SECOND });
+
+    ws.on('pong', () => {
+        ws.isAlive = true;
+    });
+
+    // Oversized or malformed frames end up here, ws closes the connection afterwards
+    ws.on('error', (error) => {
+        metrics.countError('connection');
+        logger.warn('Connection error', { playerId: ws.id, roomId: ws.roomId, error });
+    });
+
+    ws.on('message', (message, isBinary) => {
+        // Anything still buffered once we've started closing the connection
+        if (ws.readyState !== WebSocket.OPEN) return;
+
+        metrics.countMessage();
+        if (!withinRateLimit()) {
+            ws.droppedMessages++;
+            metrics.countError('rate_limited');
+            if (ws.droppedMessages > MAX_DROPPED_MESSAGES) {
+                logger.warn('Disconnecting client, too many messages', { playerId: ws.id, roomId: ws.roomId });
+                ws.close(1008, 'Too many messages');
+            }
+            return;
+        }
+
+        const activeRoom = rooms.get(ws.roomId);
+        if (activeRoom) {
+            activeRoom.lastActivity = Date.now();
+        }
+
+        // Binary frames are position updates, everything else is JSON
+        if (isBinary) {
+            relayPlayerUpdate(ws, message);
+            return;
+        }
 
-    ws.on('message', (message) => {
         try {
-            const data = JSON.parse(message);
+            const parsed = JSON.parse(message);
+            const { message: data, error } = validateMessage(parsed);
+            if (error) {
+                metrics.countError('invalid_message');
+                logger.warn('Invalid message', { playerId: ws.id, roomId: ws.roomId, type: parsed?.type, reason: error });
+                ws.send(JSON.stringify({ type: 'error', message: error }));
+                return;
+            }
+            // Nothing but the handshake until the client has said which protocol it speaks
+            if (data.type !== 'init' && !ws.sessionToken) {
+                ws.send(JSON.stringify({ type: 'error', message: 'Connection not initialized' }));
+                return;
+            }
 
             switch (data.type) {
                 case 'init':
-                    console.log('Client initialized:', data.clientType);
+                    if (ws.sessionToken) return; // Already initialized
+                    logger.info('Client initialized', { playerId: ws.id, clientType: data.clientType, protocolVersion: data.protocolVersion });
+                    if (data.protocolVersion !== protocol.PROTOCOL_VERSION) {
+                        metrics.countError('protocol_version');
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'This game version is out of date, please reload the page'
+                        }));
+                        ws.close(1002, 'Unsupported protocol version');
+                        return;
+                    }
+                    ws.updateDecoder = new protocol.PlayerUpdateDecoder();
+                    ws.updateEncoder = new protocol.PlayerUpdateEncoder();
+
+                    // A reconnecting client sends its session token to get its room slot back
+                    const resumed = sessions.resume(data.sessionToken, ws);
+                    if (!resumed) {
+                        sessions.create(ws);
+                    }
+                    const resumedRoom = resumed && rooms.get(resumed.roomId);
+                    if (resumedRoom) {
+                        ws.roomId = resumed.roomId;
+                        replacePlayer(resumedRoom, resumed.previous, ws);
+                        logger.info('Player resumed', { roomId: ws.roomId, playerId: ws.id, playerNumber: ws.playerNumber });
+                    }
                     ws.send(JSON.stringify({
                         type: 'initAck',
-                        message: 'Connection established'
+                        message: 'Connection established',
+                        protocolVersion: protocol.PROTOCOL_VERSION,
+                        sessionToken: ws.sessionToken,
+                        resumed: resumedRoom ? {
+                            roomId: ws.roomId,
+                            playerId: ws.id,
+                            playerNumber: ws.playerNumber,
+                            ...getResumeState(resumedRoom, ws)
+                        } : null
                     }));
+                    if (resumedRoom) {
+                        setPlayerConnected(resumedRoom, ws, true);
+                    }
+                    // Still queued for a quick match: carry on waiting, the queue status follows the ack
+                    if (resumed) {
+                        matchmaking.replace(resumed.previous, ws);
+                    }
                     break;
 
                 case 'createRoom':
-                    const roomId = uuidv4().substring(0, 6).toUpperCase();
-                    rooms.set(roomId, {
-                        host: ws,
-                        players: new Set([ws]),
-                        gameStarted: false
-                    });
-                    clientRoom = roomId;
+                    matchmaking.leave(ws);
+                    leaveCurrentRoom(ws);
+                    const roomId = createRoomId();
+                    const newRoom = createRoom(ws, data.maxPlayers);
+                    addPlayer(newRoom, ws, data.name); // Host is always player 1
+                    rooms.set(roomId, newRoom);
+                    assignRoom(ws, roomId);
                     ws.send(JSON.stringify({
                         type: 'roomCreated',
-                        roomId: roomId
+                        roomId: roomId,
+                        playerId: ws.id,
+                        playerNumber: ws.playerNumber
                     }));
-                    console.log(`Room created: ${roomId}`);
+                    broadcastLobby(newRoom);
+                    logger.info('Room created', { roomId, playerId: ws.id, maxPlayers: newRoom.maxPlayers });
                     break;
 
                 case 'joinRoom':
@@ -66,8 +317,7 @@ wss.on('connection', (ws, req) => {
                     const room = rooms.get(normalizedRoomId);
                     
                     if (!room) {
-                        console.log(`Room not found: ${normalizedRoomId}`);
-                        console.log('Available rooms:', Array.from(rooms.keys()));
+                        logger.info('Room not found', { roomId: normalizedRoomId, playerId: ws.id });
                         ws.send(JSON.stringify({
                             type: 'error',
                             message: 'Room not found. Please check the room code and try again.'
@@ -75,119 +325,143 @@ wss.on('connection', (ws, req) => {
                         return;
                     }
 
+                    // Spectators can join at any time, they don't take a player slot
+                    if (data.spectate) {
+                        if (room.spectators.size >= MAX_SPECTATORS) {
+                            ws.send(JSON.stringify({
+                                type: 'error',
+                                message: 'This room has too many spectators'
+                            }));
+                            return;
+                        }
+
+                        matchmaking.leave(ws);
+                        leaveCurrentRoom(ws);
+                        // Leaving deletes the room if we were the last player in the one we asked to watch
+                        const watchedRoom = rooms.get(normalizedRoomId);
+                        if (!watchedRoom) {
+                            ws.send(JSON.stringify({
+                                type: 'error',
+                                message: 'Room not found. Please check the room code and try again.'
+                            }));
+                            return;
+                        }
+                        addSpectator(watchedRoom, ws);
+                        ws.roomId = normalizedRoomId; // Not in the session, there's no slot to come back to
+                        ws.send(JSON.stringify({
+                            type: 'joinedRoom',
+                            roomId: normalizedRoomId,
+                            playerId: ws.id,
+                            spectator: true
+                        }));
+                        ws.send(JSON.stringify({
+                            type: 'spectateState',
+                            ...getSpectateState(watchedRoom)
+                        }));
+                        broadcastLobby(watchedRoom);
+                        break;
+                    }
+
                     if (room.gameStarted) {
                         ws.send(JSON.stringify({
                             type: 'error',
-                            message: 'Game already in progress'
+                            message: 'Game already in progress, you can still watch as a spectator'
                         }));
                         return;
                     }
 
-                    room.players.add(ws);
-                    clientRoom = normalizedRoomId;
+                    if (room.players.size >= room.maxPlayers) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Room is full, you can still watch as a spectator'
+                        }));
+                        return;
+                    }
+
+                    matchmaking.leave(ws);
+                    leaveCurrentRoom(ws);
+                    addPlayer(room, ws, data.name);
+                    assignRoom(ws, normalizedRoomId);
 
                     ws.send(JSON.stringify({
                         type: 'joinedRoom',
                         roomId: normalizedRoomId,
-                        playerNumber: 2  // Joining player is always player 2
-                    }));
-
-                    room.host.send(JSON.stringify({
-                        type: 'playerJoined',
                         playerId: ws.id,
-                        playerNumber: 1  // Host is always player 1
+                        playerNumber: ws.playerNumber
                     }));
+                    broadcastLobby(room);
+                    break;
 
-                    if (room.players.size === 2) {
-                        room.gameStarted = true;
-                        room.players.forEach(player => {
-                            player.send(JSON.stringify({
-                                type: 'gameStart'
-                            }));
-                        });
+                case 'findMatch':
+                    // Private rooms stay on createRoom/joinRoom, this is for playing with anyone
+                    if (ws.roomId) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Leave your room before looking for a match'
+                        }));
+                        return;
                     }
+                    ws.queuedName = data.name;
+                    matchmaking.join(ws, MatchmakingQueue.getKey(data.controlScheme, data.sameControls));
                     break;
 
-                case 'playerUpdate':
-                    const playerRoom = rooms.get(data.roomId);
-                    if (playerRoom) {
-                        playerRoom.players.forEach(player => {
-                            if (player !== ws) {
-                                player.send(JSON.stringify({
-                                    type: 'playerUpdate',
-                                    playerId: ws.id,
-                                    position: data.position,
-                                    animation: data.animation
-                                }));
-                            }
-                        });
-                    }
+                case 'cancelMatch':
+                    matchmaking.leave(ws);
+                    ws.send(JSON.stringify({ type: 'queueStatus', queued: false }));
                     break;
 
-                case 'gameOver':
-                    // Find the room
-                    const gameOverRoom = rooms.get(data.roomId);
-                    if (gameOverRoom) {
-                        // Broadcast game over to all players in the room except sender
-                        gameOverRoom.players.forEach(player => {
-                            if (player !== ws && player.readyState === WebSocket.OPEN) {
-                                player.send(JSON.stringify({
-                                    type: 'gameOver',
-                                    playerId: ws.id,
-                                    score: data.score
-                                }));
-                            }
-                        });
+                case 'leaveRoom':
+                    leaveCurrentRoom(ws);
+                    break;
+
+                // Spectators aren't players of the room, so these do nothing for them
+                case 'setReady':
+                    const readyRoom = getPlayerRoom(ws);
+                    if (readyRoom) {
+                        setReady(readyRoom, ws, data.ready);
                     }
                     break;
 
-                case 'playAgainRequest':
-                    const playAgainRoom = rooms.get(data.roomId);
-                    if (playAgainRoom) {
-                        // Send play again request to other player
-                        playAgainRoom.players.forEach(player => {
-                            if (player !== ws && player.readyState === WebSocket.OPEN) {
-                                player.send(JSON.stringify({
-                                    type: 'playAgainRequest',
-                                    playerId: ws.id
-                                }));
-                            }
-                        });
+                case 'updateSettings':
+                    const settingsRoom = getPlayerRoom(ws);
+                    if (settingsRoom) {
+                        updateSettings(settingsRoom, ws, data.settings);
                     }
                     break;
 
-                case 'playAgainAccepted':
-                    console.log('playAgainAccepted', data);
-                    const acceptRoom = rooms.get(data.roomId);
-                    if (acceptRoom) {
-                        // Reset game state
-                        acceptRoom.gameStarted = true;
-                        // Notify all players to start new game
-                        acceptRoom.players.forEach(player => {
-                            player.send(JSON.stringify({
-                                type: 'playAgainAccepted'
-                            }));
-                        });
+                case 'startGame':
+                    // Host only, once every player is ready
+                    const startRoom = getPlayerRoom(ws);
+                    if (startRoom) {
+                        requestStart(startRoom, ws);
                     }
                     break;
 
-                case 'playAgainDeclined':
-                    const declineRoom = rooms.get(data.roomId);
-                    if (declineRoom) {
-                        // Notify other player that request was declined
-                        declineRoom.players.forEach(player => {
-                            if (player !== ws && player.readyState === WebSocket.OPEN) {
-                                player.send(JSON.stringify({
-                                    type: 'playAgainDeclined',
-                                    playerId: ws.id
-                                }));
-                            }
-                        });
+                case 'gameOver':
+                    // A collision report. The final score and distance are checked like any other
+                    // update, the round's results only use what the server accepted.
+                    const gameOverRoom = getPlayerRoom(ws);
+                    if (gameOverRoom && isRacing(ws)) {
+                        const rejected = recordProgress(ws, { distance: data.distance ?? ws.race.distance, score: data.score });
+                        if (rejected) {
+                            metrics.countError('rejected_update');
+                            logger.warn('Rejected final score', { roomId: ws.roomId, playerId: ws.id, playerNumber: ws.playerNumber, reason: rejected });
+                        }
+                        finishRace(ws);
+                        // The others race on and show this player as out
+                        broadcast(gameOverRoom, {
+                            type: 'gameOver',
+                            playerId: ws.id,
+                            playerNumber: ws.playerNumber,
+                            score: ws.race.score
+                        }, ws);
+                        endRound(gameOverRoom); // Only once every player is out
                     }
                     break;
             }
         } catch (error) {
-            console.error('Error handling message:', error);
+            metrics.countError('message_handler');
+            logger.error('Error handling message', { playerId: ws.id, roomId: ws.roomId, error });
             ws.send(JSON.stringify({
                 type: 'error',
                 message: 'Invalid message format'
@@ -195,42 +469,76 @@ wss.on('connection', (ws, req) => {
         }
     });
 
-    ws.id = uuidv4();
-
     ws.on('close', () => {
-        console.log('Client disconnected');
-        if (clientRoom) {
-            const room = rooms.get(clientRoom);
+        logger.info('Client disconnected', { playerId: ws.id, roomId: ws.roomId });
+        // Taken over by a reconnect, the player carries on with the new socket
+        if (ws.replaced) return;
+        matchmaking.leave(ws);
+
+        const roomId = ws.roomId;
+        const room = roomId && rooms.get(roomId);
+        if (!room || !ws.sessionToken || ws.isSpectator) {
+            sessions.delete(ws.sessionToken);
             if (room) {
-                room.players.delete(ws);
-                room.players.forEach(player => {
-                    player.send(JSON.stringify({
-                        type: 'playerLeft',
-                        playerId: ws.id
-                    }));
-                });
-                if (room.players.size === 0) {
-                    rooms.delete(clientRoom);
-                    console.log(`Room ${clientRoom} deleted`);
-                }
+                leaveRoom(roomId, ws);
             }
+            return;
         }
+
+        // Hold the slot for the grace period so the player can reconnect and carry on
+        setPlayerConnected(room, ws, false);
+        sessions.disconnect(ws.sessionToken, () => {
+            logger.info('Player did not reconnect', { roomId, playerId: ws.id, playerNumber: ws.playerNumber });
+            leaveRoom(roomId, ws);
+        });
     });
 });
 
-// Add a health check endpoint
-app.get('/health', (req, res) => {
-    res.status(200).send('OK');
-});
+// Leaving on purpose gives the slot up straight away, unlike a dropped connection
+function leaveCurrentRoom(ws) {
+    if (ws.roomId) {
+        leaveRoom(ws.roomId, ws);
+        assignRoom(ws, null);
+    }
+}
+
+// Drop sockets that stopped answering pings, their close handler holds the room slot as usual
+const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+        if (!ws.isAlive) {
+            ws.terminate();
+            return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+    });
+}, HEARTBEAT_INTERVAL);
 
-// Start the server with error handling
-server.listen(port, () => {
-    console.log(`Server running at http://localhost:${port}`);
-}).on('error', (err) => {
-    if (err.code === 'EADDRINUSE') {
-        console.error(`Port ${port} is already in use. Please try a different port or close the application using port ${port}.`);
-    } else {
-        console.error('Server error:', err);
+// Close rooms no one has sent anything to in a while, such as a lobby everyone walked away from
+const roomSweep = setInterval(() => {
+    const now = Date.now();
+    for (const [roomId, room] of rooms) {
+        if (now - room.lastActivity > ROOM_IDLE_TIMEOUT) {
+            closeRoom(roomId, 'The room was closed because it was idle');
+        }
     }
-    process.exit(1);
+}, ROOM_SWEEP_INTERVAL);
+
+wss.on('close', () => {
+    clearInterval(heartbeat);
+    clearInterval(roomSweep);
+});
+
+// Start the server with error handling, once the protocol module has loaded
+protocolReady.then(() => {
+    server.listen(port, () => {
+        logger.info('Server running', { url: `http://localhost:${port}` });
+    }).on('error', (err) => {
+        if (err.code === 'EADDRINUSE') {
+            logger.error(`Port ${port} is already in use. Please try a different port or close the application using port ${port}.`, { port });
+        } else {
+            logger.error('Server error', { error: err });
+        }
+        process.exit(1);
+    });
 }); 
\ No newline at end of file
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+const RECONNECT_GRACE_PERIOD = 30 * 1000; // How long a dropped player's room slot is kept
+
+// Session tokens let a dropped player take their room slot back within the grace period.
+// A player is their socket everywhere else, so resuming moves the player's state onto the new socket.
+class SessionStore {
+    constructor(gracePeriod = RECONNECT_GRACE_PERIOD) {
+        this.gracePeriod = gracePeriod;
+        this.sessions = new Map(); // token -> { player, roomId, expiryTimer }
+    }
+
+    create(ws) {
+        const token = crypto.randomBytes(24).toString('base64url');
+        ws.sessionToken = token;
+        this.sessions.set(token, { player: ws, roomId: null, expiryTimer: null });
+        return token;
+    }
+
+    setRoom(token, roomId) {
+        const session = this.sessions.get(token);
+        if (session) {
+            session.roomId = roomId;
+        }
+    }
+
+    // Starts the grace period, onExpire runs if the player hasn't come back by the end of it
+    disconnect(token, onExpire) {
+        const session = this.sessions.get(token);
+        if (!session) return;
+        session.expiryTimer = setTimeout(() => {
+            this.sessions.delete(token);
+            onExpire();
+        }, this.gracePeriod);
+    }
+
+    // Moves the session's player onto the new socket. Returns the room the player was in and their
+    // previous socket, or null if the session has expired.
+    resume(token, ws) {
+        const session = typeof token === 'string' ? this.sessions.get(token) : null;
+        if (!session) return null;
+
+        clearTimeout(session.expiryTimer);
+        session.expiryTimer = null;
+
+        const previous = session.player;
+        for (const key of ['id', 'sessionToken', 'playerNumber', 'playerName', 'ready', 'lastPosition', 'lastScore', 'race', 'queueKey']) {
+            ws[key] = previous[key];
+        }
+
+        // The old socket may not have noticed it's dead yet, make sure its close doesn't count as leaving
+        previous.replaced = true;
+        if (previous.readyState === previous.OPEN) {
+            previous.terminate();
+        }
+
+        session.player = ws;
+        return { roomId: session.roomId, previous };
+    }
+
+    delete(token) {
+        const session = this.sessions.get(token);
+        if (session) {
+            clearTimeout(session.expiryTimer);
+            this.sessions.delete(token);
+        }
+    }
+}
+
+module.exports = { SessionStore, RECONNECT_GRACE_PERIOD };
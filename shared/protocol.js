@@ -0,0 +1,172 @@
+// Multiplayer wire protocol, shared by the client and the server.
+// Control messages (rooms, lobby, countdown...) are JSON objects with a type. The high-frequency
+// playerUpdate goes as a small binary frame instead, see encodePlayerUpdate for the layout.
+// Bump PROTOCOL_VERSION whenever either changes incompatibly: the client sends its version in init
+// and the server refuses clients that don't match.
+export const PROTOCOL_VERSION = 2;
+
+// First byte of every binary frame
+export const BINARY_MESSAGES = {
+    PLAYER_UPDATE: 1
+};
+
+// Animations are sent as their index in this list
+export const ANIMATIONS = ['Survey', 'Walk', 'Run'];
+const NO_ANIMATION = 255;
+
+const POSITION_SCALE = 100; // Positions are sent in hundredths of a unit
+const HEADER_SIZE = 16;
+const FLAG_KEYFRAME = 1;    // Score is absolute, not a change since the last frame
+const FLAG_HAS_SCORE = 2;
+
+// Encodes one sender's updates. The score goes as the change since the previous frame, with a full
+// value every keyframeInterval frames so anyone who joins later (spectators) picks it up.
+// Sockets are ordered and reliable, so a receiver's running total stays in step in between.
+export class PlayerUpdateEncoder {
+    constructor({ keyframeInterval = 20 } = {}) {
+        this.keyframeInterval = keyframeInterval;
+        this.reset();
+    }
+
+    // Call for a new connection, the next frame is a keyframe
+    reset() {
+        this.lastScore = null;
+        this.framesSinceKeyframe = 0;
+    }
+
+    // update: { time, position: { x, y, z }, animation, score, playerNumber }
+    encode({ time = 0, position, animation, score, playerNumber = 0 }) {
+        const hasScore = Number.isFinite(score);
+        const keyframe = hasScore && (this.lastScore === null || this.framesSinceKeyframe >= this.keyframeInterval);
+        let scoreValue = 0;
+        if (hasScore) {
+            scoreValue = keyframe ? score : score - this.lastScore;
+            this.lastScore = score;
+            this.framesSinceKeyframe = keyframe ? 0 : this.framesSinceKeyframe + 1;
+        }
+
+        const scoreBytes = hasScore ? encodeVarint(zigzag(Math.round(scoreValue))) : [];
+        const bytes = new Uint8Array(HEADER_SIZE + scoreBytes.length);
+        const view = new DataView(bytes.buffer);
+        const animationIndex = ANIMATIONS.indexOf(animation);
+
+        view.setUint8(0, BINARY_MESSAGES.PLAYER_UPDATE);
+        view.setUint8(1, (keyframe ? FLAG_KEYFRAME : 0) | (hasScore ? FLAG_HAS_SCORE : 0));
+        view.setUint8(2, clamp(playerNumber, 0, 255));
+        view.setUint8(3, animationIndex === -1 ? NO_ANIMATION : animationIndex);
+        view.setUint32(4, Math.round(time) >>> 0);
+        view.setInt16(8, quantise(position.x, 0x7fff));
+        view.setInt16(10, quantise(position.y, 0x7fff));
+        view.setInt32(12, quantise(position.z, 0x7fffffff));
+        bytes.set(scoreBytes, HEADER_SIZE);
+        return bytes;
+    }
+}
+
+// Decodes frames from any number of senders, keeping a running score per player number.
+// Returns null for anything that isn't a well-formed player update.
+export class PlayerUpdateDecoder {
+    constructor() {
+        this.scores = new Map(); // playerNumber -> last score
+    }
+
+    reset(playerNumber) {
+        if (playerNumber === undefined) {
+            this.scores.clear();
+        } else {
+            this.scores.delete(playerNumber);
+        }
+    }
+
+    decode(data) {
+        const bytes = toUint8Array(data);
+        if (!bytes || bytes.length < HEADER_SIZE || bytes[0] !== BINARY_MESSAGES.PLAYER_UPDATE) {
+            return null;
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const flags = view.getUint8(1);
+        const playerNumber = view.getUint8(2);
+        const animationIndex = view.getUint8(3);
+        const update = {
+            type: 'playerUpdate',
+            playerNumber,
+            time: view.getUint32(4),
+            position: {
+                x: view.getInt16(8) / POSITION_SCALE,
+                y: view.getInt16(10) / POSITION_SCALE,
+                z: view.getInt32(12) / POSITION_SCALE
+            },
+            animation: ANIMATIONS[animationIndex]
+        };
+
+        if (flags & FLAG_HAS_SCORE) {
+            const value = decodeVarint(bytes, HEADER_SIZE);
+            if (value === null) return null;
+            const delta = unzigzag(value);
+            if (flags & FLAG_KEYFRAME) {
+                update.score = delta;
+            } else if (this.scores.has(playerNumber)) {
+                update.score = this.scores.get(playerNumber) + delta;
+            }
+            // Otherwise we joined between keyframes, the score turns up with the next one
+            if (update.score !== undefined) {
+                this.scores.set(playerNumber, update.score);
+            }
+        }
+        return update;
+    }
+}
+
+export function isBinaryMessage(data) {
+    return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+}
+
+function toUint8Array(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    return null;
+}
+
+function quantise(value, limit) {
+    return clamp(Math.round((Number(value) || 0) * POSITION_SCALE), -limit, limit);
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+// Zigzag maps small negative numbers to small positive ones so they stay short as varints
+function zigzag(value) {
+    return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+function unzigzag(value) {
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+}
+
+// 7 bits per byte, high bit set on every byte but the last. Plain arithmetic rather than bit
+// operations so scores past 2^31 survive.
+function encodeVarint(value) {
+    const bytes = [];
+    while (value >= 0x80) {
+        bytes.push((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+    return bytes;
+}
+
+function decodeVarint(bytes, offset) {
+    let value = 0;
+    let multiplier = 1;
+    for (let i = offset; i < bytes.length && i < offset + 8; i++) {
+        value += (bytes[i] & 0x7f) * multiplier;
+        if ((bytes[i] & 0x80) === 0) {
+            return value;
+        }
+        multiplier *= 0x80;
+    }
+    return null;
+}
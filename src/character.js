@@ -2,10 +2,11 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 
 export class Character {
-    constructor(scene, isLocalPlayer = true, playerLabel = 'player') {
+    constructor(scene, isLocalPlayer = true, playerLabel = 'player', labelColor = 'white') {
         this.scene = scene;
         this.isLocalPlayer = isLocalPlayer;
         this.playerLabel = playerLabel;
+        this.labelColor = labelColor;
         this.mixer = null;
         this.model = null;
         this.animations = {};
@@ -20,6 +21,7 @@ export class Character {
 
         // Character properties
         this.position = new THREE.Vector3(0, 0, 0);
+        this.previousPosition = new THREE.Vector3(0, 0, 0); // Position at the previous simulation tick, for render interpolation
         this.virtualPosition = new THREE.Vector3(0, 0, 0);
         this.velocity = new THREE.Vector3(0, 0, 0);
         this.jumpSpeed = 10;
@@ -29,6 +31,13 @@ export class Character {
         this.isJumping = false;
         this.isFalling = false;
 
+        // Slide/duck state - the collision box shrinks to duckHeight for duckDuration seconds
+        this.isDucking = false;
+        this.duckHeight = 1;
+        this.duckDuration = 0.8;
+        this.duckTimer = 0;
+        this.modelScale = 0.02;
+
         // Create temporary cube placeholder while model loads
         const geometry = new THREE.BoxGeometry(0.5, this.characterHeight, 0.5);
         const material = new THREE.MeshPhongMaterial({ 
@@ -62,7 +71,7 @@ export class Character {
 
         // Draw label text
         context.font = 'bold 72px Arial';
-        context.fillStyle = 'white';
+        context.fillStyle = this.labelColor;
         context.textAlign = 'center';
         context.textBaseline = 'middle';
         context.fillText(this.playerLabel, canvas.width / 2, canvas.height / 2);
@@ -82,8 +91,22 @@ export class Character {
         }
     }
 
+    // Redraws the label with new text, such as a player being out of the round
+    setPlayerLabel(text) {
+        if (text === this.playerLabel) return;
+        this.playerLabel = text;
+        // Before the model has loaded the label is yet to be drawn, it picks up the new text then
+        if (this.labelMesh && this.model) {
+            this.model.remove(this.labelMesh);
+            this.labelMesh.material.map.dispose();
+            this.labelMesh.material.dispose();
+            this.createPlayerLabel();
+        }
+    }
+
     jump() {
         if (!this.isJumping && !this.isFalling) {
+            this.standUp();
             this.isJumping = true;
             this.isFalling = false;
             this.velocity.y = this.jumpSpeed;
@@ -91,11 +114,80 @@ export class Character {
         }
     }
 
-    update(deltaTime) {
+    duck() {
+        // Can't start a slide in the air
+        if (this.isJumping || this.isFalling) {
+            return false;
+        }
+        // Ducking again while already down restarts the timer
+        this.isDucking = true;
+        this.duckTimer = this.duckDuration;
+        return true;
+    }
+
+    standUp() {
+        this.isDucking = false;
+        this.duckTimer = 0;
+    }
+
+    getCollisionHeight() {
+        return this.isDucking ? this.duckHeight : this.characterHeight;
+    }
+
+    // Collision box in simulation space, lowered to the feet while ducking
+    getCollisionBox() {
+        const height = this.getCollisionHeight();
+        const center = this.position.clone();
+        center.y -= (this.characterHeight - height) / 2;
+        return new THREE.Box3().setFromCenterAndSize(
+            center,
+            new THREE.Vector3(0.5, height, 0.5)  // Match character's actual size
+        );
+    }
+
+    // Advance animations by real frame time
+    updateAnimation(deltaTime) {
         if (this.mixer) {
             this.mixer.update(deltaTime);
         }
-        
+
+        // Squash the model while ducking, easing back up afterwards
+        if (this.model) {
+            const targetScaleY = this.isDucking
+                ? this.modelScale * (this.duckHeight / this.characterHeight)
+                : this.modelScale;
+            this.model.scale.y = THREE.MathUtils.lerp(
+                this.model.scale.y,
+                targetScaleY,
+                1 - Math.pow(0.7, deltaTime * 60)
+            );
+        }
+    }
+
+    // Remember where the character was before this simulation tick moves it
+    savePreviousPosition() {
+        this.previousPosition.copy(this.position);
+    }
+
+    // Place the model between the last two simulation ticks (alpha 0..1)
+    interpolate(alpha) {
+        if (this.model) {
+            this.model.position.lerpVectors(this.previousPosition, this.position, alpha);
+        }
+        if (this.placeholder && this.placeholder.parent) {
+            this.placeholder.position.lerpVectors(this.previousPosition, this.position, alpha);
+        }
+    }
+
+    // Fixed-step physics update, deltaTime is the simulation tick length
+    update(deltaTime) {
+        if (this.isDucking) {
+            this.duckTimer -= deltaTime;
+            if (this.duckTimer <= 0) {
+                this.standUp();
+            }
+        }
+
         // Log periodic updates (every 100 frames or so to avoid console spam)
         if (Math.random() < 0.001) {
             console.log('Character state:', {
@@ -153,7 +245,7 @@ export class Character {
             this.animations = gltf.animations;
             
             // Set up model properties
-            this.model.scale.set(0.02, 0.02, 0.02);
+            this.model.scale.set(this.modelScale, this.modelScale, this.modelScale);
             this.model.position.copy(this.placeholder.position);
             this.model.rotation.y = Math.PI;
             
@@ -286,7 +378,6 @@ export class Character {
     }
 
     setVirtualPosition(x, y, z) {
-        console.log('setting virtual position', z);
         this.virtualPosition.set(x, y, z);
     }
 
@@ -342,9 +433,12 @@ export class Character {
         // Reset virtual position
         this.virtualPosition.set(0, characterStartHeight, 0);
         
+        this.savePreviousPosition();
+        
         // Reset movement state
         this.isJumping = false;
         this.isFalling = false;
+        this.standUp();
         this.velocity.set(0, 0, 0);
         
         // Reset animation
@@ -353,9 +447,10 @@ export class Character {
             this.playAnimation('Survey');
         }
 
-        // Reset model rotation
+        // Reset model rotation and scale
         if (this.model) {
             this.model.rotation.y = Math.PI;  // Face forward
+            this.model.scale.setScalar(this.modelScale);
         }
     }
 } 
\ No newline at end of file
@@ -0,0 +1,96 @@
+import * as THREE from 'three';
+import { getLaneCenter } from './lanes.js';
+import { POWER_UP_TYPES } from './powerUps.js';
+
+// Every coin shares one geometry and material
+const COIN_GEOMETRY = new THREE.CylinderGeometry(0.4, 0.4, 0.1, 24).rotateX(Math.PI / 2);
+const COIN_MATERIAL = new THREE.MeshStandardMaterial({
+    color: 0xffd700,
+    emissive: 0x664400,
+    metalness: 0.8,
+    roughness: 0.3
+});
+
+// Power-ups share a geometry, and a material per type
+const POWER_UP_GEOMETRY = new THREE.OctahedronGeometry(0.5);
+const powerUpMaterials = new Map();
+
+function getPowerUpMaterial(type) {
+    if (!powerUpMaterials.has(type)) {
+        const color = POWER_UP_TYPES[type].color;
+        powerUpMaterials.set(type, new THREE.MeshStandardMaterial({ color, emissive: color, emissiveIntensity: 0.4 }));
+    }
+    return powerUpMaterials.get(type);
+}
+
+// Something in a lane that the player picks up by running into it
+class Collectible {
+    constructor(scene, settings, mesh, options = {}) {
+        this.scene = scene;
+        this.settings = settings;
+        this.lane = options.lane ?? 0;
+        this.size = new THREE.Vector3(0.8, 0.8, 0.8);
+
+        const x = getLaneCenter(this.lane, this.settings.game.laneCount, this.settings.game.roadWidth);
+        const y = options.height ?? 2;
+        const z = options.z ?? -this.settings.game.spawnDistance;
+
+        this.mesh = mesh;
+        this.mesh.position.set(x, y, z);
+        this.mesh.castShadow = true;
+
+        // Simulation position, the mesh is only moved to it (interpolated) when rendering
+        this.position = this.mesh.position.clone();
+        this.previousPosition = this.position.clone();
+
+        this.scene.add(this.mesh);
+    }
+
+    // Fixed-step update, speed is the distance the world moves this tick
+    update(deltaTime, speed) {
+        this.previousPosition.copy(this.position);
+        this.position.z += speed;
+    }
+
+    // Place the mesh between the last two simulation ticks (alpha 0..1)
+    interpolate(alpha) {
+        this.mesh.position.lerpVectors(this.previousPosition, this.position, alpha);
+    }
+
+    // Per render frame spin
+    updateAnimation(deltaTime) {
+        this.mesh.rotation.y += deltaTime * 3;
+    }
+
+    getCollisionBox() {
+        return new THREE.Box3().setFromCenterAndSize(this.position, this.size);
+    }
+
+    isBehindCamera() {
+        return this.position.z > 10;
+    }
+
+    dispose() {
+        // Geometry and materials are shared, only take the mesh out of the scene
+        this.scene.remove(this.mesh);
+    }
+}
+
+export class Coin extends Collectible {
+    constructor(scene, settings, options = {}) {
+        super(scene, settings, new THREE.Mesh(COIN_GEOMETRY, COIN_MATERIAL), options);
+    }
+
+    // Magnet pull, moves the coin part of the way to the target each tick
+    attractTo(target, amount) {
+        this.position.lerp(target, amount);
+    }
+}
+
+export class PowerUp extends Collectible {
+    constructor(scene, settings, options = {}) {
+        const type = POWER_UP_TYPES[options.type] ? options.type : 'shield';
+        super(scene, settings, new THREE.Mesh(POWER_UP_GEOMETRY, getPowerUpMaterial(type)), options);
+        this.type = type;
+    }
+}
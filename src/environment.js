@@ -1,13 +1,20 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
+import { DEFAULT_LANE_COUNT, getLaneBoundaries } from './lanes.js';
 
 export class Environment {
-    constructor(scene) {
+    constructor(scene, options = {}) {
         this.scene = scene;
+        this.laneCount = options.laneCount ?? DEFAULT_LANE_COUNT;
         this.trees = [];
         this.decorations = [];
         this.particleSystems = [];
         this.roadSegments = [];
+
+        // Road and roadside decorations scroll together. The group is offset
+        // when rendering to interpolate between simulation ticks.
+        this.scrollGroup = new THREE.Group();
+        this.scene.add(this.scrollGroup);
         
         // Ground plane is 1000x1000, centered at origin
         this.groundSize = 1000;
@@ -124,7 +131,7 @@ export class Environment {
             segment.position.z = (4 * this.segmentLength) - (i * this.segmentLength);
             
             this.roadSegments.push(segment);
-            this.scene.add(segment);
+            this.scrollGroup.add(segment);
         }
     }
 
@@ -183,26 +190,14 @@ export class Environment {
             roughness: 0.3
         });
         
-        // Center line
-        const centerLine = new THREE.Mesh(
-            new THREE.PlaneGeometry(0.25, this.segmentLength),
-            markingsMaterial
-        );
-        centerLine.rotation.x = -Math.PI / 2;
-        centerLine.position.y = 1.01; // Slightly above road
-        roadGroup.add(centerLine);
-
-        // Update lane line positions for two lanes
-        const leftLine = this.createLaneLine();
-        const rightLine = this.createLaneLine();
-        
-        // Position lines to create two lanes instead of four
-        // No need for middle lines anymore as we only have one line in the center
-        leftLine.position.x = 0;  // Center line
-        leftLine.position.y = 1.02;
-        leftLine.position.z = 0;
-        
-        rightLine.visible = false;  // Hide the second line since we only need one center line
+        // One line between each pair of lanes
+        const laneLineGeometry = new THREE.PlaneGeometry(0.25, this.segmentLength);
+        getLaneBoundaries(this.laneCount, this.roadWidth).forEach(x => {
+            const laneLine = new THREE.Mesh(laneLineGeometry, markingsMaterial);
+            laneLine.rotation.x = -Math.PI / 2;
+            laneLine.position.set(x, 1.01, 0); // Slightly above road
+            roadGroup.add(laneLine);
+        });
 
         // Add shoulders (sides of the road)
         const shoulderGeometry = new THREE.BoxGeometry(1, 0.1, this.segmentLength);
@@ -415,7 +410,7 @@ export class Environment {
             
             billboard.position.set(x, 0, z);
             
-            this.scene.add(billboard);
+            this.scrollGroup.add(billboard);
             this.decorations.push(billboard);
         }
     }
@@ -476,7 +471,7 @@ export class Environment {
             // Random rotation for variety
             treeGroup.rotation.y = Math.random() * Math.PI * 2;
             
-            this.scene.add(treeGroup);
+            this.scrollGroup.add(treeGroup);
             this.trees.push(treeGroup);
         }
     }
@@ -504,6 +499,11 @@ export class Environment {
         this.updateParticleSystems(deltaTime);
     }
 
+    // Render the scrolling scenery partway through the last tick's movement (alpha 0..1)
+    interpolate(alpha, step) {
+        this.scrollGroup.position.z = -(1 - alpha) * step;
+    }
+
     updateRoad(deltaTime, speed) {
         // Move road segments
         for (let i = 0; i < this.roadSegments.length; i++) {
@@ -0,0 +1,103 @@
+import { loadJSON, saveJSON } from './storage.js';
+
+const STORAGE_KEY = 'runHistory';
+const MAX_HISTORY = 100; // Runs kept per mode, the top runs are never dropped
+export const TOP_RUN_COUNT = 10;
+export const RUN_MODES = ['single', 'multiplayer'];
+
+function createEmptyHistory() {
+    return { single: [], multiplayer: [] };
+}
+
+// Loose check for runs coming from storage or an imported file
+function isValidRun(run) {
+    return run !== null && typeof run === 'object' &&
+        Number.isFinite(run.score) &&
+        Number.isFinite(run.distance) &&
+        Number.isFinite(run.duration) &&
+        typeof run.controlScheme === 'string' &&
+        typeof run.date === 'string' && !Number.isNaN(Date.parse(run.date));
+}
+
+function byScore(a, b) {
+    return b.score - a.score;
+}
+
+function byDate(a, b) {
+    return Date.parse(a.date) - Date.parse(b.date);
+}
+
+// Run history saved in localStorage, single-player and multiplayer runs are kept apart
+export class HighScores {
+    constructor() {
+        this.history = this.parseHistory(loadJSON(STORAGE_KEY, null)) || createEmptyHistory();
+    }
+
+    parseHistory(data) {
+        if (!data || typeof data !== 'object' || !data.runs) {
+            return null;
+        }
+        const history = createEmptyHistory();
+        for (const mode of RUN_MODES) {
+            const runs = Array.isArray(data.runs[mode]) ? data.runs[mode] : [];
+            history[mode] = runs.filter(isValidRun);
+        }
+        return history;
+    }
+
+    save() {
+        saveJSON(STORAGE_KEY, { version: 1, runs: this.history });
+    }
+
+    // Adds a finished run and returns whether it beat the previous best for its mode
+    recordRun(mode, run) {
+        const previousBest = this.getBest(mode);
+        this.history[mode] = this.trim([...this.history[mode], run]);
+        this.save();
+        return {
+            isNewBest: !previousBest || run.score > previousBest.score,
+            rank: this.getTopRuns(mode).indexOf(run) + 1 // 0 when outside the table
+        };
+    }
+
+    // Drops the oldest runs once there are too many, keeping the top runs whatever their age
+    trim(runs) {
+        if (runs.length <= MAX_HISTORY) {
+            return runs;
+        }
+        const top = new Set([...runs].sort(byScore).slice(0, TOP_RUN_COUNT));
+        const recent = runs.filter(run => !top.has(run)).slice(-(MAX_HISTORY - top.size));
+        return [...top, ...recent].sort(byDate);
+    }
+
+    getTopRuns(mode, count = TOP_RUN_COUNT) {
+        return [...this.history[mode]].sort(byScore).slice(0, count);
+    }
+
+    getBest(mode) {
+        return this.getTopRuns(mode, 1)[0] || null;
+    }
+
+    exportJSON() {
+        return JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), runs: this.history }, null, 2);
+    }
+
+    // Merges runs from an exported file, runs already in the history are skipped.
+    // Returns the number of runs added, throws if the file isn't a run history.
+    importJSON(text) {
+        const imported = this.parseHistory(JSON.parse(text));
+        if (!imported) {
+            throw new Error('Not a run history file');
+        }
+
+        let added = 0;
+        for (const mode of RUN_MODES) {
+            const known = new Set(this.history[mode].map(run => `${run.date}|${run.score}`));
+            const newRuns = imported[mode].filter(run => !known.has(`${run.date}|${run.score}`));
+            added += newRuns.length;
+            this.history[mode] = this.trim([...this.history[mode], ...newRuns].sort(byDate));
+        }
+        this.save();
+        return added;
+    }
+}
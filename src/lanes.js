@@ -0,0 +1,32 @@
+// Lane layout helpers shared by movement, obstacle placement and road markings.
+// Lanes are numbered from 0 (leftmost) to laneCount - 1 (rightmost).
+export const DEFAULT_LANE_COUNT = 2;
+
+export function getLaneWidth(roadWidth, laneCount) {
+    return roadWidth / laneCount;
+}
+
+export function getLaneCenter(lane, laneCount, roadWidth) {
+    const laneWidth = getLaneWidth(roadWidth, laneCount);
+    return -roadWidth / 2 + laneWidth * (lane + 0.5);
+}
+
+export function getNearestLane(x, laneCount, roadWidth) {
+    const laneWidth = getLaneWidth(roadWidth, laneCount);
+    const lane = Math.floor((x + roadWidth / 2) / laneWidth);
+    return clampLane(lane, laneCount);
+}
+
+export function clampLane(lane, laneCount) {
+    return Math.max(0, Math.min(laneCount - 1, lane));
+}
+
+// x positions of the markings between lanes
+export function getLaneBoundaries(laneCount, roadWidth) {
+    const laneWidth = getLaneWidth(roadWidth, laneCount);
+    const boundaries = [];
+    for (let i = 1; i < laneCount; i++) {
+        boundaries.push(-roadWidth / 2 + laneWidth * i);
+    }
+    return boundaries;
+}
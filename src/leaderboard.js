@@ -0,0 +1,26 @@
+// Client for the backend's global leaderboard (/api/scores)
+const API_URL = import.meta.env.VITE_API_URL || '';
+
+async function request(path, options) {
+    const response = await fetch(`${API_URL}/api${path}`, options);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Leaderboard request failed (${response.status})`);
+    }
+    return data;
+}
+
+export async function fetchScores(mode, period) {
+    const params = new URLSearchParams({ mode, period });
+    const data = await request(`/scores?${params}`);
+    return data.scores;
+}
+
+// Resolves to { entry, rank }, rejects with the server's reason when the run is refused
+export function submitScore(run) {
+    return request('/scores', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(run)
+    });
+}
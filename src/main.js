@@ -5,9 +5,31 @@ import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
 import { Character } from './character.js';
 import { Environment } from './environment.js';
 import { Obstacle } from './obstacle.js';
+import { Coin, PowerUp } from './collectible.js';
+import { PowerUpManager } from './powerUps.js';
 import { PoseController } from './poseController.js';
 import * as dat from 'dat.gui';
-import { MultiplayerManager } from './multiplayer.js';
+import { MultiplayerManager, getPlayerColor } from './multiplayer.js';
+import { ObstacleSpawner, MULTIPLAYER_SPAWN_DISTANCE } from './spawner.js';
+import { OBSTACLE_TYPES } from './obstacleTypes.js';
+import { SeededRandom } from './random.js';
+import { DEFAULT_LANE_COUNT, getLaneCenter, getLaneWidth, clampLane } from './lanes.js';
+import { loadJSON, saveJSON } from './storage.js';
+import { HighScores } from './highScores.js';
+import { PoseProfiles, cleanProfileName } from './poseProfiles.js';
+import { fetchScores, submitScore } from './leaderboard.js';
+import settingLimits from '../shared/settingLimits.json';
+
+// Running in place with pose controls: the cadence (steps per minute) sets the speed, from minFactor of
+// the game speed for a slow jog up to maxFactor for a sprint, following an S curve in between
+const CADENCE_SPEED = { minCadence: 60, maxCadence: 180, minFactor: 0.5, maxFactor: 1.5 };
+const CADENCE_SPEED_EASING = 0.1; // Fraction of the way to the new speed taken on each pose update
+
+function getCadenceSpeedFactor(cadence) {
+    const { minCadence, maxCadence, minFactor, maxFactor } = CADENCE_SPEED;
+    const t = Math.min(Math.max((cadence - minCadence) / (maxCadence - minCadence), 0), 1);
+    return minFactor + (maxFactor - minFactor) * t * t * (3 - 2 * t);
+}
 
 class Game {
     constructor() {
@@ -73,12 +95,17 @@ class Game {
         this.container = document.getElementById('game-container');
         this.container.appendChild(this.renderer.domElement);
         this.scoreElement = document.getElementById('score');
+        this.coinElement = document.getElementById('coins');
+        this.powerUpElement = document.getElementById('power-ups');
+        this.connectionStatusElement = document.getElementById('connection-status');
+        this.spectatorOverlayElement = document.getElementById('spectator-overlay');
+        this.cadenceElement = document.getElementById('cadence');
 
         // Setup lighting first
         this.setupLighting();
 
         // Initialize environment
-        this.environment = new Environment(this.scene);
+        this.environment = new Environment(this.scene, { laneCount: DEFAULT_LANE_COUNT });
 
          // Settings object for GUI controls
          this.settings = {
@@ -94,7 +121,11 @@ class Game {
                 obstacleSpeed: 0.2,
                 spawnDistance: 30, // Initial spawn distance
                 roadWidth: this.environment.roadWidth,
-                roadLength: this.environment.roadLength
+                roadLength: this.environment.roadLength,
+                laneCount: DEFAULT_LANE_COUNT,
+                laneSnapping: false,       // Left/right switch lanes instead of moving freely
+                laneSwitchDuration: 0.15,  // Seconds for an eased lane change
+                difficulty: 1              // Scales how quickly harder obstacle mixes appear
             },
             debug: {
                 showHitbox: false
@@ -103,29 +134,53 @@ class Game {
 
         // Game properties - Initialize these after environment
         this.obstacles = [];
+        this.coins = [];
+        this.powerUpPickups = [];
+        this.powerUps = new PowerUpManager(); // Active timed effects
+        this.spawner = new ObstacleSpawner();
+        this.courseSeed = null;
+        this.courseSettings = null; // What the spawner generates the course from, fixed for the run
         this.score = 0;
+        this.runCoins = 0; // Coins picked up this run
+        this.totalCoins = loadJSON('coins', 0); // Currency kept between sessions
+        this.highScores = new HighScores();
+        this.poseProfiles = new PoseProfiles(); // Saved pose calibrations, the active one is used when pose controls start
+        this.runTime = 0; // Seconds of simulation time this run, pauses don't count
+        this.runRecorded = false;
+        this.lastRunResult = null; // What recordRun returned for the last finished run
+        this.lastRun = null;
+        this.playerName = loadJSON('playerName', ''); // Name used on the global leaderboard
+        this.leaderboard = null; // Global boards shown on the game over screen
         this.speed = this.settings.game.obstacleSpeed;
         this.lastTime = 0;
+
+        // Fixed-step simulation: physics, spawning, scoring and collisions run at 60 ticks per second
+        // whatever the display refresh rate, so runs play out the same on every machine.
+        // Per-tick amounts (speed, lateralSpeed, ...) are world units moved per tick.
+        this.fixedTimeStep = 1 / 60;
+        this.maxFrameTime = 0.25; // Clamp long frames (tab switches) so we don't run hundreds of ticks at once
+        this.accumulator = 0;
+        this.worldStep = 0; // Distance the world scrolled in the last tick, for render interpolation
         this.isMovingLeft = false;
         this.isMovingRight = false;
         this.isMovingForward = false;
         this.lateralSpeed = 0.3;
-        this.laneWidth = this.environment.roadWidth / 2; // Now environment exists
         this.maxLateralPosition = 8;
         this.roadOffset = 1; // Increased from 1 to 100 to spawn obstacles much further away
-        this.currentLane = 0; // 0 = left lane, 1 = right lane
+        this.currentLane = 0; // 0 is the leftmost lane
+        this.laneSwitch = null; // Active eased lane change in lane snapping mode
         this.isJumping = false;
-        this.isDucking = false;
         this.jumpHeight = 5;
         this.jumpSpeed = 0.2;
         this.gravity = 0.4;
         this.verticalSpeed = 0;
         this.horizontalSpeed = 0;
-        this.maxHorizontalSpeed = this.laneWidth / 10;
-        
-        // Position bounds
-        this.minX = -this.laneWidth / 2;
-        this.maxX = this.laneWidth / 2;
+        this.poseSteering = 0; // -1 left, 1 right, 0 none - applied on the next tick
+        this.poseCadence = 0; // Steps per minute running in place with pose controls
+        this.poseSpeedFactor = CADENCE_SPEED.minFactor; // Speed multiplier the cadence has eased to
+
+        // Lane width and position bounds follow the lane count
+        this.applyLaneSettings();
 
         // Game states
         this.gameStates = {
@@ -133,8 +188,12 @@ class Game {
             PLAYING: 'playing',
             PAUSED: 'paused',
             GAME_OVER: 'gameOver',
-            MULTIPLAYER_LOBBY: 'multiplayerLobby'
+            MULTIPLAYER_LOBBY: 'multiplayerLobby',
+            COUNTDOWN: 'countdown',
+            SPECTATING: 'spectating'
         };
+        this.countdown = null; // { seconds, round, rounds } while a multiplayer countdown runs
+        this.localGameSettings = null; // Our own settings, put back after a match played on the host's
         this.currentState = this.gameStates.MENU;
 
         // Camera settings
@@ -166,6 +225,7 @@ class Game {
 
         // Add model cache
         this.modelCache = new Map();
+        this.preloadObstacleModels();
 
         // Setup GUI with control scheme toggle
         this.setupGUI();
@@ -178,16 +238,24 @@ class Game {
         this.isMultiplayer = false;
         this.opponentScore = 0;
 
+        // Reloaded while in a room, connect straight away to take our place back
+        if (MultiplayerManager.hasSession()) {
+            this.multiplayerManager = new MultiplayerManager(this);
+        }
+
         // Start game loop
         this.animate();
     }
 
     async initializePoseController() {
         if (!this.poseController) {
-            this.poseController = new PoseController(this.handlePoseControls.bind(this), this.gui);
+            this.poseController = new PoseController(this.handlePoseControls.bind(this), this.gui, {
+                onCalibrationChange: (calibration) => this.savePoseCalibration(calibration)
+            });
             const initialized = await this.poseController.initialize();
             if (initialized) {
                 console.log('Pose controller initialized successfully');
+                this.applyPoseProfile();
                 return true;
             } else {
                 console.error('Failed to initialize pose controller');
@@ -215,8 +283,12 @@ class Game {
         // Game settings
         const gameFolder = this.gui.addFolder('Game Settings');
         gameFolder.add(this.settings.game, 'spawnRate', 0.01, 0.1).name('Spawn Frequency');
-        gameFolder.add(this.settings.game, 'obstacleSpeed', 0.1, 2).name('Game Speed');
+        // The backend's leaderboard checks allow for runs up to the same maximum
+        gameFolder.add(this.settings.game, 'obstacleSpeed', settingLimits.gameSpeed.min, settingLimits.gameSpeed.max).name('Game Speed');
         gameFolder.add(this.settings.game, 'spawnDistance', 20, 100).name('Spawn Distance');
+        gameFolder.add(this.settings.game, 'laneCount', 2, 5, 1).name('Lanes (next run)');
+        gameFolder.add(this.settings.game, 'laneSnapping').name('Snap to Lanes');
+        gameFolder.add(this.settings.game, 'difficulty', 0.5, 3).name('Difficulty');
 
         // Control scheme toggle
         const controlsFolder = this.gui.addFolder('Controls');
@@ -245,13 +317,15 @@ class Game {
         // Add calibration button for pose controls
         controlsFolder.add({
             calibrate: async () => {
-                if (this.poseController) {
-                    const calibrated = await this.poseController.calibrate();
-                    if (calibrated) {
-                        console.log('Calibration successful');
-                    } else {
-                        console.error('Calibration failed');
-                    }
+                if (this.controlScheme !== 'pose' || !this.poseController?.isActive) {
+                    alert('Turn on pose controls to calibrate');
+                    return;
+                }
+                const calibrated = await this.poseController.calibrate();
+                if (calibrated) {
+                    console.log('Calibration successful');
+                } else {
+                    console.error('Calibration failed');
                 }
             }
         }, 'calibrate').name('Calibrate Pose');
@@ -261,53 +335,45 @@ class Game {
     }
 
     handlePoseControls(movements) {
-        console.log('movements', JSON.stringify(movements.walking));
-
         if (!movements) return;
 
-        // Handle walking - update game speed based on walking detection
+        // Running in place moves forward, how fast you run sets the pace (see getWorldSpeed)
+        this.poseCadence = movements.cadence || 0;
         if (movements.walking) {
-            // Set forward movement flag
-            console.log('walking', movements.walking);
             this.isMovingForward = true;
-            // Gradually increase speed to make movement smoother
-            this.speed = Math.min(this.speed + 0.01, this.settings.game.obstacleSpeed * 1.5);
+            const target = getCadenceSpeedFactor(this.poseCadence);
+            this.poseSpeedFactor += (target - this.poseSpeedFactor) * CADENCE_SPEED_EASING;
         } else {
-            // When not walking, gradually slow down
+            // Starting again picks up from a jog
             this.isMovingForward = false;
-            // this.speed = Math.max(this.speed - 0.01, 0);
+            this.poseSpeedFactor = CADENCE_SPEED.minFactor;
         }
 
-        // Handle left/right movement
-        if (movements.left && this.character.position.x > this.minX) {
-            this.horizontalSpeed = -this.maxHorizontalSpeed;
-        } else if (movements.right && this.character.position.x < this.maxX) {
-            this.horizontalSpeed = this.maxHorizontalSpeed;
+        // Handle left/right movement - the position itself is updated in the simulation tick
+        const events = movements.events || [];
+        if (this.settings.game.laneSnapping) {
+            // A lean starts one lane change, the player has to return to center before the next
+            if (events.includes('laneLeft')) {
+                this.changeLane(-1);
+            } else if (events.includes('laneRight')) {
+                this.changeLane(1);
+            }
+            this.poseSteering = 0;
+        } else if (movements.left) {
+            this.poseSteering = -1;
+        } else if (movements.right) {
+            this.poseSteering = 1;
         } else {
-            // Gradually slow down
-            this.horizontalSpeed *= 0.9;
-        }
-
-        // Apply horizontal movement with bounds checking
-        const newX = this.character.position.x + this.horizontalSpeed;
-        if (newX >= this.minX && newX <= this.maxX) {
-            this.character.position.x = newX;
+            this.poseSteering = 0;
         }
 
-        // Handle jumping
-        if (movements.jump && !this.isJumping) {
-            this.isJumping = true;
-            this.verticalSpeed = this.jumpSpeed;
+        // Handle jumping and ducking - each new pose triggers one action
+        if (events.includes('jumpStart')) {
+            this.character.jump();
         }
-
-        // Handle ducking
-        this.isDucking = movements.duck;
-        if (this.isDucking) {
-            this.character.scale.y = 0.5;
-        } else {
-            this.character.scale.y = 1;
+        if (events.includes('duckStart')) {
+            this.character.duck();
         }
-        
     }
 
     setupUI() {
@@ -335,12 +401,15 @@ class Game {
         this.menuScreen.addEventListener('touchend', (event) => {
             // Don't handle touch events if they're on a button or input
             if (event.target.tagName.toLowerCase() === 'button' || 
-                event.target.tagName.toLowerCase() === 'input') {
+                event.target.tagName.toLowerCase() === 'input' ||
+                event.target.tagName.toLowerCase() === 'select') {
                 return;
             }
 
             event.preventDefault();
-            if (this.currentState === this.gameStates.MENU || 
+            if (this.currentState === this.gameStates.GAME_OVER && this.isMultiplayer && this.multiplayerManager) {
+                this.returnToLobby();
+            } else if (this.currentState === this.gameStates.MENU || 
                 this.currentState === this.gameStates.GAME_OVER) {
                 this.startGame();
             } else if (this.currentState === this.gameStates.PAUSED) {
@@ -403,10 +472,11 @@ class Game {
                         <div style="margin: 15px 0; padding: 10px; background: rgba(255,255,255,0.1); border-radius: 8px;">
                             <p style="margin: 5px 0">👆 Tap to Jump</p>
                             <p style="margin: 5px 0">👈 Swipe Left/Right to Move 👉</p>
+                            <p style="margin: 5px 0">👇 Swipe Down to Duck</p>
                         </div>
                     ` : `
                         <p>Press SPACE to Start</p>
-                        <p>Use Arrow Keys to Move</p>
+                        <p>Use Arrow Keys to Move, Down to Duck</p>
                         <p>Press ESC to Pause</p>
                     `}
                     <div style="margin-top: 20px; padding: 15px; background: rgba(255,255,255,0.1); border-radius: 8px;">
@@ -422,6 +492,7 @@ class Game {
                                            border: none; border-radius: 5px; color: white; cursor: pointer;">
                                 Pose Controls
                             </button>
+                            ${this.renderPoseProfiles()}
                             ${isMobile ? `
                                 <button onclick="window.game.setControlScheme('touch')" 
                                         style="padding: 10px; background: ${this.controlScheme === 'touch' ? '#4CAF50' : '#666'}; 
@@ -441,18 +512,35 @@ class Game {
                             </div>
                         ` : ''}
                     </div>
+                    ${this.renderHighScores()}
                 `;
                 break;
             case this.gameStates.GAME_OVER:
+                if (this.multiplayerManager?.isSpectator) {
+                    content = this.renderSpectatorResults(isMobile);
+                    break;
+                }
                 let gameOverContent = `
                     <h1>Game Over!</h1>
-                    <p>Your Score: ${this.score}</p>`;
+                    <p>Your Score: ${this.score}</p>
+                    <p>Coins: ${this.runCoins} (total ${this.totalCoins})</p>
+                    ${this.lastRunResult?.isNewBest ? '<p style="font-size: 24px; color: #ffd700;">New best!</p>' : ''}
+                    ${this.renderLeaderboard()}`;
                 
                 if (this.isMultiplayer && this.multiplayerManager) {
-                    const winner = this.multiplayerManager.determineWinner();
+                    const manager = this.multiplayerManager;
+                    // The round goes on until everyone is out, there's no placing before then
+                    const waiting = manager.isWaitingForRound();
+                    let nextStep = 'Next round starting soon...';
+                    if (waiting) {
+                        nextStep = 'Waiting for the others to finish...';
+                    } else if (manager.matchOver) {
+                        nextStep = `${isMobile ? 'Tap Screen' : 'Press SPACE'} to return to the lobby`;
+                    }
                     gameOverContent += `
-                        <p style="font-size: 24px; color: #4CAF50; margin: 20px 0;">${winner}</p>
-                        <p>${isMobile ? 'Tap Screen' : 'Press SPACE'} to Play Again</p>`;
+                        ${this.renderStandings(manager.getStandings(), manager.rounds > 1 ? `Round ${manager.round} of ${manager.rounds}` : '', !waiting)}
+                        ${manager.rounds > 1 && manager.matchOver ? this.renderStandings(manager.getMatchStandings(), 'Match Totals') : ''}
+                        <p>${nextStep}</p>`;
                 } else {
                     gameOverContent += `
                         <p>${isMobile ? 'Tap Screen' : 'Press SPACE'} to Play Again</p>`;
@@ -495,55 +583,534 @@ class Game {
                 `;
                 break;
             case this.gameStates.MULTIPLAYER_LOBBY:
+                // Inside a room show its lobby, otherwise the create/join form
+                if (this.multiplayerManager?.roomId) {
+                    content = this.renderRoomLobby();
+                    break;
+                }
+                if (this.multiplayerManager?.queue) {
+                    content = this.renderMatchmakingQueue();
+                    break;
+                }
                 content = `
                     <h1>Multiplayer Lobby</h1>
                     <div style="margin: 20px 0;">
-                        <button onclick="window.game.createMultiplayerRoom()" 
-                                style="padding: 10px 20px; margin: 5px; background: #4CAF50; 
-                                       border: none; border-radius: 5px; color: white; cursor: pointer;">
-                            Create Room
-                        </button>
+                        <input type="text" id="playerNameInput" placeholder="Your name" maxlength="16"
+                               value="${this.escapeHTML(this.playerName)}"
+                               style="padding: 10px; margin: 5px; border-radius: 5px; border: 1px solid #ccc;">
+                        <div style="margin: 20px 0;">
+                            <button onclick="window.game.findQuickMatch(document.getElementById('playerNameInput').value, document.getElementById('sameControlsInput').checked)"
+                                    style="padding: 10px 20px; margin: 5px; background: #FF9800;
+                                           border: none; border-radius: 5px; color: white; cursor: pointer;">
+                                Quick Match
+                            </button>
+                            <label style="font-size: 14px;">
+                                <input type="checkbox" id="sameControlsInput">
+                                Only players using ${this.controlScheme} controls
+                            </label>
+                        </div>
+                        <div style="margin: 20px 0;">
+                            <select id="maxPlayersSelect"
+                                    style="padding: 10px; margin: 5px; border-radius: 5px; border: 1px solid #ccc;">
+                                ${[2, 3, 4, 5, 6, 7, 8].map(count => `<option value="${count}">${count} players</option>`).join('')}
+                            </select>
+                            <button onclick="window.game.createMultiplayerRoom(document.getElementById('maxPlayersSelect').value, document.getElementById('playerNameInput').value)" 
+                                    style="padding: 10px 20px; margin: 5px; background: #4CAF50; 
+                                           border: none; border-radius: 5px; color: white; cursor: pointer;">
+                                Create Room
+                            </button>
+                        </div>
                         <div style="margin: 20px 0;">
                             <input type="text" id="roomCodeInput" placeholder="Enter Room Code"
                                    style="padding: 10px; margin-right: 10px; border-radius: 5px; border: 1px solid #ccc;">
-                            <button onclick="window.game.joinMultiplayerRoom(document.getElementById('roomCodeInput').value)" 
+                            <button onclick="window.game.joinMultiplayerRoom(document.getElementById('roomCodeInput').value, document.getElementById('playerNameInput').value)" 
                                     style="padding: 10px 20px; background: #2196F3; 
                                            border: none; border-radius: 5px; color: white; cursor: pointer;">
                                 Join Room
                             </button>
+                            <button onclick="window.game.joinMultiplayerRoom(document.getElementById('roomCodeInput').value, document.getElementById('playerNameInput').value, true)" 
+                                    style="padding: 10px 20px; background: #607D8B; 
+                                           border: none; border-radius: 5px; color: white; cursor: pointer;">
+                                Watch
+                            </button>
                         </div>
                     </div>
                 `;
                 break;
+            case this.gameStates.COUNTDOWN:
+                content = `
+                    ${this.countdown.rounds > 1 ? `<p>Round ${this.countdown.round} of ${this.countdown.rounds}</p>` : ''}
+                    <h1 style="font-size: 96px; margin: 20px 40px;">${this.countdown.seconds}</h1>
+                    <p>Get ready!</p>
+                `;
+                break;
         }
         this.menuScreen.innerHTML = content;
-        this.menuScreen.style.display = this.currentState === this.gameStates.PLAYING ? 'none' : 'block';
+        const inRace = this.currentState === this.gameStates.PLAYING || this.currentState === this.gameStates.SPECTATING;
+        this.menuScreen.style.display = inRace ? 'none' : 'block';
         this.pauseButton.style.display = this.currentState === this.gameStates.PLAYING ? 'block' : 'none';
+        this.updateSpectatorOverlay();
+    }
+
+    // Players ranked by score, for the multiplayer game over screen. While the round is still on,
+    // players already out are marked and there's no placing yet.
+    renderStandings(standings, title = '', showPlacement = true) {
+        const rows = standings.map(entry => `
+            <tr style="${entry.isLocal ? 'font-weight: bold;' : ''}">
+                <td>${entry.rank}.</td>
+                <td style="color: ${getPlayerColor(entry.playerNumber)};">${this.escapeHTML(entry.name)}${entry.isLocal ? ' (you)' : ''}${entry.out ? ' (out)' : ''}${entry.disqualified ? ' (disqualified)' : ''}</td>
+                <td>${entry.score}</td>
+            </tr>`).join('');
+        const localRank = showPlacement && standings.find(entry => entry.isLocal)?.rank;
+        return `
+            ${title ? `<h3 style="margin: 20px 0 0 0;">${title}</h3>` : ''}
+            ${localRank ? `<p style="font-size: 24px; color: #4CAF50; margin: 10px 0;">${localRank === 1 ? 'You Won!' : `You placed #${localRank}`}</p>` : ''}
+            <table style="margin: 0 auto 20px auto; font-size: 18px;">${rows}</table>`;
+    }
+
+    // Round results for spectators, the same standings without a run of our own
+    renderSpectatorResults(isMobile) {
+        const manager = this.multiplayerManager;
+        return `
+            <h1>Round Over</h1>
+            ${this.renderStandings(manager.getStandings(), manager.rounds > 1 ? `Round ${manager.round} of ${manager.rounds}` : '')}
+            ${manager.rounds > 1 && manager.matchOver ? this.renderStandings(manager.getMatchStandings(), 'Match Totals') : ''}
+            <p>${manager.matchOver
+                ? `${isMobile ? 'Tap Screen' : 'Press SPACE'} to return to the lobby`
+                : 'Next round starting soon...'}</p>
+            <button onclick="window.game.endGame()"
+                    style="padding: 10px 20px; background: #2196F3; border: none; border-radius: 5px;
+                           color: white; cursor: pointer; font-size: 16px;">
+                Stop Watching
+            </button>`;
+    }
+
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"]/g, (char) => `&#${char.charCodeAt(0)};`);
+    }
+
+    // Shown while the server looks for quick match opponents
+    renderMatchmakingQueue() {
+        const { queue } = this.multiplayerManager;
+        return `
+            <h1>Finding a Match</h1>
+            <p>${queue.controlScheme === 'any' ? 'Looking for players' : `Looking for players using ${queue.controlScheme} controls`}...</p>
+            <p style="font-size: 16px;">${queue.waiting} of ${queue.matchSize} players waiting</p>
+            <button onclick="window.game.multiplayerManager.cancelMatch()"
+                    style="padding: 10px 20px; margin: 5px; background: #f44336;
+                           border: none; border-radius: 5px; color: white; cursor: pointer; font-size: 16px;">
+                Cancel
+            </button>`;
+    }
+
+    // Room code, player list with ready state, and the host's match settings
+    renderRoomLobby() {
+        const manager = this.multiplayerManager;
+        const settings = manager.roomSettings || {};
+        const players = [...manager.players].sort(([, a], [, b]) => a.playerNumber - b.playerNumber);
+        const localReady = manager.players.get(manager.playerId)?.ready;
+        const canStart = manager.canStart();
+        const buttonStyle = 'padding: 10px 20px; margin: 5px; border: none; border-radius: 5px; color: white; cursor: pointer; font-size: 16px;';
+        // Quick match rooms keep the default settings and have no start button
+        const canEditSettings = manager.isHost && !manager.isPublic;
+        let hint = manager.isHost ? 'Start once everyone is ready' : 'The host starts the game once everyone is ready';
+        if (manager.isPublic) {
+            hint = 'The game starts as soon as everyone is ready';
+        }
+        if (manager.isSpectator) {
+            hint = "You're watching, the game will show here once it starts";
+        }
+
+        // The host gets a dropdown per setting, everyone else just sees the values
+        const settingOptions = {
+            speed: { label: 'Speed', options: [[0.15, 'Slow'], [0.2, 'Normal'], [0.3, 'Fast'], [0.4, 'Very fast']] },
+            spawnRate: { label: 'Obstacles', options: [[0.02, 'Few'], [0.03, 'Normal'], [0.05, 'Many'], [0.08, 'Swarm']] },
+            difficulty: { label: 'Obstacle Mix', options: [[0.5, 'Easy'], [1, 'Normal'], [2, 'Hard'], [3, 'Brutal']] },
+            rounds: { label: 'Rounds', options: [[1, '1'], [2, '2'], [3, '3'], [5, '5']] },
+            laneCount: { label: 'Lanes', options: [[2, '2'], [3, '3'], [4, '4'], [5, '5']] },
+            laneSnapping: { label: 'Snap to Lanes', options: [[false, 'Off'], [true, 'On']], parse: "this.value === 'true'" }
+        };
+        const settingRows = Object.entries(settingOptions).map(([key, { label, options, parse = 'Number(this.value)' }]) => {
+            const current = options.find(([value]) => value === settings[key]);
+            const control = canEditSettings ? `
+                <select onchange="window.game.multiplayerManager.updateRoomSettings({ ${key}: ${parse} })"
+                        style="padding: 5px; border-radius: 5px;">
+                    ${options.map(([value, name]) => `<option value="${value}" ${current && value === current[0] ? 'selected' : ''}>${name}</option>`).join('')}
+                </select>` : (current ? current[1] : settings[key] ?? '-');
+            return `<tr><td style="text-align: left; padding-right: 15px;">${label}</td><td>${control}</td></tr>`;
+        }).join('');
+
+        return `
+            ${manager.isPublic ? `
+                <h1>Quick Match</h1>
+                <p style="font-size: 16px;">Opponents found!</p>
+            ` : `
+                <h1>Room ${manager.roomId}</h1>
+                <p style="font-size: 16px;">Share this code with your friends to join the game</p>
+            `}
+            <h3>Players (${players.length}/${manager.maxPlayers})${manager.spectators > 0 ? ` · ${manager.spectators} watching` : ''}</h3>
+            <table style="margin: 0 auto; font-size: 18px;">
+                ${players.map(([playerId, player]) => `
+                    <tr>
+                        <td style="color: ${getPlayerColor(player.playerNumber)}; padding-right: 15px;">
+                            ${this.escapeHTML(player.name)}${playerId === manager.playerId ? ' (you)' : ''}
+                        </td>
+                        <td>${!player.connected ? '📶 Reconnecting…' : player.ready ? '✅ Ready' : '⏳ Not ready'}</td>
+                    </tr>`).join('')}
+            </table>
+            <h3>Match Settings${canEditSettings || manager.isPublic ? '' : ' (set by the host)'}</h3>
+            <table style="margin: 0 auto; font-size: 16px;">${settingRows}</table>
+            <div style="margin-top: 20px;">
+                ${manager.isSpectator ? '' : `
+                    <button onclick="window.game.multiplayerManager.toggleReady()"
+                            style="${buttonStyle} background: ${localReady ? '#666' : '#4CAF50'};">
+                        ${localReady ? 'Not Ready' : 'Ready'}
+                    </button>
+                `}
+                ${canEditSettings ? `
+                    <button onclick="window.game.multiplayerManager.startMatch()" ${canStart ? '' : 'disabled'}
+                            style="${buttonStyle} background: ${canStart ? '#2196F3' : '#444'};">
+                        Start Game
+                    </button>
+                ` : ''}
+                <button onclick="window.game.endGame()" style="${buttonStyle} background: #f44336;">
+                    Leave Room
+                </button>
+            </div>
+            <p style="font-size: 14px; opacity: 0.7;">${hint}</p>`;
+    }
+
+    // Top runs for both modes plus the export/import buttons, shown on the main menu
+    renderHighScores() {
+        const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+        const renderTable = (mode, title) => {
+            const runs = this.highScores.getTopRuns(mode);
+            if (runs.length === 0) {
+                return `<p style="margin: 5px 0; opacity: 0.7;">${title}: no runs yet</p>`;
+            }
+            const rows = runs.map((run, index) => `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>${run.score}</td>
+                    <td>${Math.round(run.distance)}m</td>
+                    <td>${formatTime(run.duration)}</td>
+                    <td>${run.controlScheme}</td>
+                    <td>${new Date(run.date).toLocaleDateString()}</td>
+                </tr>`).join('');
+            return `
+                <h4 style="margin: 10px 0 5px 0;">${title}</h4>
+                <table style="width: 100%; font-size: 14px; border-collapse: collapse;">
+                    <tr style="opacity: 0.7;"><th>#</th><th>Score</th><th>Distance</th><th>Time</th><th>Controls</th><th>Date</th></tr>
+                    ${rows}
+                </table>`;
+        };
+
+        return `
+            <div style="margin-top: 20px; padding: 15px; background: rgba(255,255,255,0.1); border-radius: 8px;">
+                <h3 style="margin: 0 0 10px 0;">High Scores</h3>
+                ${renderTable('single', 'Single Player')}
+                ${renderTable('multiplayer', 'Multiplayer')}
+                <div style="margin-top: 10px;">
+                    <button onclick="window.game.exportRunHistory()"
+                            style="padding: 5px 10px; margin: 5px; background: #666;
+                                   border: none; border-radius: 5px; color: white; cursor: pointer;">
+                        Export History
+                    </button>
+                    <label style="display: inline-block; padding: 5px 10px; margin: 5px; background: #666;
+                                  border-radius: 5px; color: white; cursor: pointer;">
+                        Import History
+                        <input type="file" accept="application/json,.json" style="display: none;"
+                               onchange="window.game.importRunHistory(this.files[0])">
+                    </label>
+                </div>
+            </div>`;
+    }
+
+    // Saves the finished run once, however the game ended (own collision or multiplayer game over)
+    recordRun() {
+        if (this.runRecorded || !this.character) return;
+        this.runRecorded = true;
+
+        const mode = this.isMultiplayer ? 'multiplayer' : 'single';
+        this.lastRun = {
+            mode,
+            score: this.score,
+            distance: Math.max(0, this.getPlayerDistance()),
+            duration: this.runTime,
+            controlScheme: this.controlScheme,
+            coins: this.runCoins,
+            date: new Date().toISOString()
+        };
+        this.lastRunResult = this.highScores.recordRun(mode, this.lastRun);
+        this.loadLeaderboard(mode);
+    }
+
+    // Daily and all-time global boards for the run's mode, fetched when the run ends
+    async loadLeaderboard(mode) {
+        this.leaderboard = { mode, daily: null, all: null, submitted: false, message: 'Loading leaderboard...' };
+        const leaderboard = this.leaderboard;
+        try {
+            const [daily, all] = await Promise.all([fetchScores(mode, 'daily'), fetchScores(mode, 'all')]);
+            Object.assign(leaderboard, { daily, all, message: leaderboard.submitted ? leaderboard.message : '' });
+        } catch (error) {
+            console.error('Failed to load leaderboard:', error);
+            leaderboard.message = 'Leaderboard unavailable';
+        }
+        this.updateLeaderboardPanel();
+    }
+
+    async submitRunToLeaderboard() {
+        const leaderboard = this.leaderboard;
+        if (!this.lastRun || !leaderboard || leaderboard.submitted) return;
+
+        const name = document.getElementById('leaderboard-name')?.value.trim() || '';
+        if (!name) {
+            leaderboard.message = 'Enter a name first';
+            this.updateLeaderboardPanel();
+            return;
+        }
+        this.savePlayerName(name);
+
+        leaderboard.submitted = true;
+        leaderboard.message = 'Submitting...';
+        this.updateLeaderboardPanel();
+        try {
+            const { rank } = await submitScore({
+                name,
+                mode: this.lastRun.mode,
+                score: this.lastRun.score,
+                distance: this.lastRun.distance,
+                duration: this.lastRun.duration
+            });
+            leaderboard.message = `Submitted! All-time rank #${rank}`;
+            const [daily, all] = await Promise.all([fetchScores(leaderboard.mode, 'daily'), fetchScores(leaderboard.mode, 'all')]);
+            Object.assign(leaderboard, { daily, all });
+        } catch (error) {
+            console.error('Failed to submit score:', error);
+            // Let the player try again
+            leaderboard.submitted = false;
+            leaderboard.message = error.message;
+        }
+        this.updateLeaderboardPanel();
+    }
+
+    renderLeaderboard() {
+        if (!this.leaderboard) return '';
+        return `
+            <div style="margin-top: 20px; padding: 15px; background: rgba(255,255,255,0.1); border-radius: 8px;">
+                <h3 style="margin: 0 0 10px 0;">Global Leaderboard</h3>
+                <input type="text" id="leaderboard-name" placeholder="Your name" maxlength="16"
+                       value="${this.escapeHTML(this.playerName)}"
+                       onkeydown="if (event.key === 'Enter') window.game.submitRunToLeaderboard()"
+                       style="padding: 8px; margin-right: 10px; border-radius: 5px; border: 1px solid #ccc;">
+                <button onclick="window.game.submitRunToLeaderboard()"
+                        style="padding: 8px 16px; background: #4CAF50;
+                               border: none; border-radius: 5px; color: white; cursor: pointer;">
+                    Submit Score
+                </button>
+                <div id="leaderboard-panel">${this.renderLeaderboardBoards()}</div>
+            </div>`;
+    }
+
+    renderLeaderboardBoards() {
+        const { daily, all, message } = this.leaderboard;
+        const escape = (text) => this.escapeHTML(text);
+        const renderBoard = (title, scores) => {
+            if (!scores) return '';
+            const rows = scores.length === 0
+                ? '<tr><td colspan="3" style="opacity: 0.7;">No scores yet</td></tr>'
+                : scores.map((entry, index) => `
+                    <tr><td>${index + 1}</td><td>${escape(entry.name)}</td><td>${entry.score}</td></tr>`).join('');
+            return `
+                <div style="flex: 1;">
+                    <h4 style="margin: 10px 0 5px 0;">${title}</h4>
+                    <table style="width: 100%; font-size: 14px; border-collapse: collapse;">${rows}</table>
+                </div>`;
+        };
+
+        return `
+            ${message ? `<p style="margin: 10px 0 0 0;">${escape(message)}</p>` : ''}
+            <div style="display: flex; gap: 15px;">
+                ${renderBoard('Today', daily)}
+                ${renderBoard('All Time', all)}
+            </div>`;
+    }
+
+    // Only redraws the boards, so a name being typed isn't lost
+    updateLeaderboardPanel() {
+        const panel = document.getElementById('leaderboard-panel');
+        if (panel && this.leaderboard) {
+            panel.innerHTML = this.renderLeaderboardBoards();
+        }
+    }
+
+    // Profile picker for pose calibrations, with buttons to add, delete, export and import profiles
+    renderPoseProfiles() {
+        const active = this.poseProfiles.getActive();
+        const buttonStyle = 'padding: 5px 10px; background: #666; border: none; border-radius: 5px; color: white; cursor: pointer;';
+        const options = this.poseProfiles.profiles.map(profile => `
+            <option value="${this.escapeHTML(profile.name)}" ${profile === active ? 'selected' : ''}>
+                ${this.escapeHTML(profile.name)}${profile.baseline ? '' : ' (not calibrated)'}
+            </option>`).join('');
+        return `
+            <div style="display: flex; flex-wrap: wrap; gap: 5px; align-items: center; justify-content: center;">
+                <select onchange="window.game.selectPoseProfile(this.value)"
+                        style="padding: 5px; border-radius: 5px; min-width: 150px;">
+                    <option value="" ${active ? '' : 'selected'}>Guest (calibrate each time)</option>
+                    ${options}
+                </select>
+                <button onclick="window.game.createPoseProfile()" style="${buttonStyle}">New Profile</button>
+                ${active && this.controlScheme === 'pose' ? `<button onclick="window.game.recalibratePose()" style="${buttonStyle}">Recalibrate</button>` : ''}
+                ${active ? `<button onclick="window.game.deletePoseProfile()" style="${buttonStyle}">Delete</button>` : ''}
+                ${this.poseProfiles.profiles.length > 0 ? `<button onclick="window.game.exportPoseProfiles()" style="${buttonStyle}">Export</button>` : ''}
+                <label style="${buttonStyle} display: inline-block;">
+                    Import
+                    <input type="file" accept="application/json,.json" style="display: none;"
+                           onchange="window.game.importPoseProfiles(this.files[0])">
+                </label>
+            </div>`;
+    }
+
+    // Loads the active profile into the pose controller, or calibrates for a profile that has no calibration yet
+    applyPoseProfile() {
+        const profile = this.poseProfiles.getActive();
+        if (!this.poseController || !profile) return;
+        if (profile.baseline) {
+            this.poseController.loadCalibration(profile);
+        } else {
+            this.poseController.clearCalibration();
+        }
+    }
+
+    savePoseCalibration(calibration) {
+        if (this.poseProfiles.updateActive(calibration) && this.currentState === this.gameStates.MENU) {
+            this.updateMenuScreen();
+        }
+    }
+
+    selectPoseProfile(name) {
+        this.poseProfiles.setActive(name || null);
+        this.applyPoseProfile();
+        this.updateMenuScreen();
+    }
+
+    // Asks for a name and calibrates the new profile, switching to pose controls if needed
+    createPoseProfile() {
+        const name = cleanProfileName(prompt('Name for the new pose profile:') ?? '');
+        if (!name) return;
+        if (this.poseProfiles.get(name)) {
+            if (!confirm(`Replace the calibration saved for ${name}?`)) return;
+            this.poseProfiles.remove(name);
+        }
+
+        // The new profile has no calibration, so the pose controller calibrates as soon as it runs
+        this.poseProfiles.setActive(name);
+        this.applyPoseProfile();
+        if (this.controlScheme === 'pose') {
+            this.updateMenuScreen();
+        } else {
+            this.setControlScheme('pose');
+        }
+    }
+
+    recalibratePose() {
+        this.poseController?.clearCalibration();
+    }
+
+    deletePoseProfile() {
+        const profile = this.poseProfiles.getActive();
+        if (!profile || !confirm(`Delete the pose profile ${profile.name}?`)) return;
+        this.poseProfiles.remove(profile.name);
+        this.updateMenuScreen();
+    }
+
+    exportPoseProfiles() {
+        const blob = new Blob([this.poseProfiles.exportJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `endless-runner-pose-profiles-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async importPoseProfiles(file) {
+        if (!file) return;
+        try {
+            const imported = this.poseProfiles.importJSON(await file.text());
+            alert(`Imported ${imported} pose profile${imported === 1 ? '' : 's'}`);
+            this.applyPoseProfile();
+        } catch (error) {
+            console.error('Failed to import pose profiles:', error);
+            alert('That file is not a valid pose profile export');
+        }
+        this.updateMenuScreen();
+    }
+
+    exportRunHistory() {
+        const blob = new Blob([this.highScores.exportJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `endless-runner-history-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async importRunHistory(file) {
+        if (!file) return;
+        try {
+            const added = this.highScores.importJSON(await file.text());
+            alert(`Imported ${added} run${added === 1 ? '' : 's'}`);
+        } catch (error) {
+            console.error('Failed to import run history:', error);
+            alert('That file is not a valid run history');
+        }
+        this.updateMenuScreen();
     }
 
     // Add new method for handling play again requests
-    handlePlayAgainRequest() {
-        if (this.isMultiplayer && this.multiplayerManager && this.currentState === this.gameStates.GAME_OVER) {
-            console.log('Requesting play again from other player...');
-            this.menuScreen.innerHTML = `
-                <h1>Waiting for other player...</h1>
-                <p>Requested to play again</p>
-            `;
-            this.multiplayerManager.requestPlayAgain();
+    // After the last round of a match everyone goes back to the room's lobby to ready up again
+    returnToLobby() {
+        if (this.isMultiplayer && this.multiplayerManager?.matchOver && this.currentState === this.gameStates.GAME_OVER) {
+            this.showRoomLobby();
             return true;
         }
         return false;
     }
 
-    startGame() {
+    // resumeRun ({ position, score }) picks a multiplayer run back up where it was, after a reload
+    startGame(seed = SeededRandom.randomSeed(), resumeRun = null) {
         // Reset game state
         console.log('starting game', this.character.getPosition());
         this.cleanupScene();
         this.score = 0;
+        this.runCoins = 0;
+        this.updateCoinDisplay();
+        this.runTime = 0;
+        this.runRecorded = false;
+        this.lastRunResult = null;
+        this.lastRun = null;
+        this.leaderboard = null;
         this.currentState = this.gameStates.PLAYING;
         this.obstacles = [];
+        this.coins = [];
+        this.powerUpPickups = [];
         this.isMovingForward = false;
         this.speed = this.settings.game.obstacleSpeed;
+        this.accumulator = 0;
+        this.worldStep = 0;
+        this.horizontalSpeed = 0;
+        this.poseSteering = 0;
+        this.poseCadence = 0;
+        this.poseSpeedFactor = CADENCE_SPEED.minFactor;
+        this.laneSwitch = null;
+        this.applyLaneSettings();
+
+        // Multiplayer passes the room's seed so everyone races the same course
+        this.courseSeed = seed;
+        this.courseSettings = this.getCourseSettings();
+        this.spawner.reset(seed, this.courseSettings);
 
         // Create character if needed
         if (!this.character) {
@@ -552,17 +1119,17 @@ class Game {
 
         // Position character based on game mode
         const characterStartHeight = this.roadOffset + this.character.characterHeight/2;
-        let lanePosition;
+        const laneCount = this.settings.game.laneCount;
         
         if (this.isMultiplayer && this.multiplayerManager) {
-            // In multiplayer, host is on left lane, other player on right lane
-            const isHost = this.multiplayerManager.isHost;
-            console.log('Multiplayer positioning:', { isHost, laneWidth: this.laneWidth });
-            lanePosition = isHost ? -this.laneWidth/2 : this.laneWidth/2;
+            // In multiplayer, each player gets their own starting lane
+            this.currentLane = this.multiplayerManager.getStartLane();
+            console.log('Multiplayer positioning:', { isHost: this.multiplayerManager.isHost, lane: this.currentLane });
         } else {
-            // In single player, always start in the middle left lane
-            lanePosition = -this.laneWidth/2;
+            // In single player, start in the middle lane (middle left with an even lane count)
+            this.currentLane = Math.floor((laneCount - 1) / 2);
         }
+        const lanePosition = getLaneCenter(this.currentLane, laneCount, this.settings.game.roadWidth);
 
         // Reset character state first
         this.character.reset();
@@ -570,11 +1137,15 @@ class Game {
         // Then set the correct lane position
         this.character.setPosition(lanePosition, characterStartHeight, 0);
         this.character.virtualPosition.set(lanePosition, characterStartHeight, 0);
+        if (this.character.model) {
+            this.character.model.visible = true; // Hidden while spectating
+        }
         
         console.log('character position:', {
             lanePosition,
             characterHeight: this.character.characterHeight,
             roadOffset: this.roadOffset,
+            lane: this.currentLane,
             laneWidth: this.laneWidth,
             isMultiplayer: this.isMultiplayer,
             isHost: this.multiplayerManager?.isHost
@@ -583,6 +1154,12 @@ class Game {
         // Create initial set of obstacles
         this.initializeObstacles();
 
+        // Rejoining with the same run-up as a fresh start
+        if (Number.isFinite(resumeRun?.position?.z)) {
+            this.skipToDistance(-resumeRun.position.z, this.courseSettings.spawnDistance);
+            this.score = Math.max(0, Math.floor(resumeRun.score) || 0);
+        }
+
         // Update menu screen
         this.updateMenuScreen();
     }
@@ -605,15 +1182,53 @@ class Game {
         this.updateMenuScreen();
     }
 
+    clearCourse() {
+        this.obstacles.forEach(obstacle => obstacle.dispose());
+        this.obstacles = [];
+        this.coins.forEach(coin => coin.dispose());
+        this.coins = [];
+        this.powerUpPickups.forEach(pickup => pickup.dispose());
+        this.powerUpPickups = [];
+    }
+
+    // Moves the run to a point along the course and rebuilds the course around it,
+    // leaving clearance free ahead of the player
+    skipToDistance(distance, clearance = 0) {
+        this.clearCourse();
+        this.character.virtualPosition.z = -distance;
+        this.character.savePreviousPosition();
+        this.spawner.reset(this.courseSeed, this.courseSettings);
+        this.spawnCourse(clearance);
+    }
+
+    // Everything the course layout depends on besides the seed. In multiplayer these come from the
+    // room (see applyRoomSettings) or are fixed, never from the local settings panel.
+    getCourseSettings() {
+        const { spawnDistance, roadLength, obstacleSpeed, spawnRate, difficulty, laneCount } = this.settings.game;
+        return {
+            spawnDistance: this.isMultiplayer ? MULTIPLAYER_SPAWN_DISTANCE : spawnDistance,
+            roadLength,
+            obstacleSpeed,
+            spawnRate,
+            difficulty,
+            laneCount
+        };
+    }
+
     cleanupScene() {
         // Safety check
         if (!this.obstacles || !Array.isArray(this.obstacles)) {
             this.obstacles = [];
         }
 
-        // Clean up obstacles
-        this.obstacles.forEach(obstacle => obstacle.dispose());
-        this.obstacles = [];
+        // Clean up obstacles, coins and power-up pickups
+        this.clearCourse();
+
+        // And any running power-up effects
+        this.powerUps.clear();
+        this.updatePowerUpDisplay();
+        this.poseCadence = 0;
+        this.updateCadenceDisplay();
 
         // Store character and its label temporarily if they exist
         let characterModel = null;
@@ -650,7 +1265,7 @@ class Game {
         }
 
         // Reinitialize essential game elements
-        this.environment = new Environment(this.scene);
+        this.environment = new Environment(this.scene, { laneCount: this.settings.game.laneCount });
 
         // Restore character if it exists
         if (characterModel) {
@@ -715,6 +1330,19 @@ class Game {
     }
 
     onKeyDown(event) {
+        // Leave typing in text fields (room code, leaderboard name) alone
+        if (event.target.tagName === 'INPUT') return;
+
+        // Spectators only control the camera
+        if (this.currentState === this.gameStates.SPECTATING) {
+            if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+                this.multiplayerManager.cycleSpectatorTarget(event.key === 'ArrowLeft' ? -1 : 1);
+            } else if (event.key === 'c' || event.key === 'C') {
+                this.multiplayerManager.toggleSpectatorCamera();
+            }
+            return;
+        }
+
         switch(event.key) {
             case 'Escape':
                 if (this.currentState === this.gameStates.PLAYING || 
@@ -728,9 +1356,9 @@ class Game {
                     return;
                 }
                 if (this.currentState === this.gameStates.GAME_OVER) {
-                    // Handle multiplayer play again request
+                    // Multiplayer goes back to the room's lobby to ready up again
                     if (this.isMultiplayer && this.multiplayerManager) {
-                        this.handlePlayAgainRequest();
+                        this.returnToLobby();
                     } else {
                         this.startGame();
                     }
@@ -742,12 +1370,20 @@ class Game {
                 break;
             case 'ArrowLeft':
                 if (this.currentState === this.gameStates.PLAYING) {
-                    this.isMovingLeft = true;
+                    if (this.settings.game.laneSnapping) {
+                        if (!event.repeat) this.changeLane(-1);
+                    } else {
+                        this.isMovingLeft = true;
+                    }
                 }
                 break;
             case 'ArrowRight':
                 if (this.currentState === this.gameStates.PLAYING) {
-                    this.isMovingRight = true;
+                    if (this.settings.game.laneSnapping) {
+                        if (!event.repeat) this.changeLane(1);
+                    } else {
+                        this.isMovingRight = true;
+                    }
                 }
                 break;
             case 'ArrowUp':
@@ -755,6 +1391,11 @@ class Game {
                     this.isMovingForward = true;
                 }
                 break;
+            case 'ArrowDown':
+                if (this.currentState === this.gameStates.PLAYING && !event.repeat) {
+                    this.character.duck();
+                }
+                break;
         }
     }
 
@@ -772,6 +1413,50 @@ class Game {
         }
     }
 
+    applyLaneSettings() {
+        const laneCount = this.settings.game.laneCount;
+        const roadWidth = this.settings.game.roadWidth;
+        this.laneWidth = getLaneWidth(roadWidth, laneCount);
+        this.maxHorizontalSpeed = this.laneWidth / 20; // Per tick
+
+        // Pose steering stays between the outer lane centers
+        this.minX = getLaneCenter(0, laneCount, roadWidth);
+        this.maxX = getLaneCenter(laneCount - 1, laneCount, roadWidth);
+    }
+
+    // Start an eased switch to the neighbouring lane (-1 left, 1 right) in lane snapping mode
+    changeLane(direction) {
+        if (!this.settings.game.laneSnapping || this.currentState !== this.gameStates.PLAYING) return;
+
+        const targetLane = clampLane(this.currentLane + direction, this.settings.game.laneCount);
+        if (targetLane === this.currentLane) return;
+
+        this.currentLane = targetLane;
+        // Start from wherever we are, so a second press mid-switch carries on smoothly
+        this.laneSwitch = {
+            fromX: this.character.getPosition().x,
+            toX: getLaneCenter(targetLane, this.settings.game.laneCount, this.settings.game.roadWidth),
+            direction,
+            elapsed: 0
+        };
+    }
+
+    // Advance the active lane switch by one tick and return the new x position
+    updateLaneSwitch(deltaTime, x) {
+        if (!this.laneSwitch) return x;
+
+        this.laneSwitch.elapsed += deltaTime;
+        const t = Math.min(this.laneSwitch.elapsed / this.settings.game.laneSwitchDuration, 1);
+        // Ease in-out so the change starts and lands gently
+        const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+        const newX = THREE.MathUtils.lerp(this.laneSwitch.fromX, this.laneSwitch.toX, eased);
+
+        if (t >= 1) {
+            this.laneSwitch = null;
+        }
+        return newX;
+    }
+
     updatePlayerPosition(deltaTime) {
         if (!this.character) return;
 
@@ -780,12 +1465,10 @@ class Game {
         const currentVirtualPos = this.character.getVirtualPosition();
         let newX = currentPos.x;
 
-        // Handle left/right movement
-        if (this.isMovingLeft && newX > -this.maxLateralPosition) {
-            newX -= this.lateralSpeed;
-        }
-        if (this.isMovingRight && newX < this.maxLateralPosition) {
-            newX += this.lateralSpeed;
+        if (this.settings.game.laneSnapping) {
+            newX = this.updateLaneSwitch(deltaTime, newX);
+        } else {
+            newX = this.updateFreeMovement(newX);
         }
 
         // Update character position
@@ -793,7 +1476,7 @@ class Game {
         // this.character.updateLabelPosition();
         // Handle forward movement regardless of jumping state
         if (this.isMovingForward) {
-            currentVirtualPos.z -= this.speed;
+            currentVirtualPos.z -= this.getWorldSpeed();
             this.character.setVirtualPosition(currentVirtualPos.x, currentVirtualPos.y, currentVirtualPos.z);
         }
 
@@ -809,10 +1492,12 @@ class Game {
         // Rotate character based on movement direction
         if (this.character.model) {
             let targetRotation = Math.PI; // Default rotation (facing camera)
+            const movingLeft = this.laneSwitch ? this.laneSwitch.direction < 0 : this.isMovingLeft;
+            const movingRight = this.laneSwitch ? this.laneSwitch.direction > 0 : this.isMovingRight;
             
-            if (this.isMovingLeft) {
+            if (movingLeft) {
                 targetRotation = Math.PI + Math.PI / 4; // 45 degrees left
-            } else if (this.isMovingRight) {
+            } else if (movingRight) {
                 targetRotation = Math.PI - Math.PI / 4; // 45 degrees right
             }
             
@@ -825,13 +1510,41 @@ class Game {
         }
     }
 
-    moveWorldForward(deltaTime) {
+    // Free lateral movement from held keys, swipes and pose leans
+    updateFreeMovement(x) {
+        let newX = x;
+
+        // Handle left/right movement
+        if (this.isMovingLeft && newX > -this.maxLateralPosition) {
+            newX -= this.lateralSpeed;
+        }
+        if (this.isMovingRight && newX < this.maxLateralPosition) {
+            newX += this.lateralSpeed;
+        }
+
+        // Pose controls steer with a velocity that eases out once the lean stops
+        if (this.poseSteering < 0 && newX > this.minX) {
+            this.horizontalSpeed = -this.maxHorizontalSpeed;
+        } else if (this.poseSteering > 0 && newX < this.maxX) {
+            this.horizontalSpeed = this.maxHorizontalSpeed;
+        } else {
+            this.horizontalSpeed *= 0.9;
+        }
+        const steeredX = newX + this.horizontalSpeed;
+        if (this.horizontalSpeed !== 0 && steeredX >= this.minX && steeredX <= this.maxX) {
+            newX = steeredX;
+        }
+
+        return newX;
+    }
+
+    moveWorldForward(deltaTime, speed = this.getWorldSpeed()) {
         // Move obstacles and update environment based on current speed
         // if (this.speed > 0) {
             // Move obstacles
             for (let i = this.obstacles.length - 1; i >= 0; i--) {
                 const obstacle = this.obstacles[i];
-                obstacle.update(deltaTime, this.speed);
+                obstacle.update(deltaTime, speed);
                 
                 // Remove obstacles that are behind the camera
                 if (obstacle.isBehindCamera()) {
@@ -840,23 +1553,54 @@ class Game {
                 }
             }
 
+            // Move coins
+            for (let i = this.coins.length - 1; i >= 0; i--) {
+                const coin = this.coins[i];
+                coin.update(deltaTime, speed);
+
+                if (coin.isBehindCamera()) {
+                    coin.dispose();
+                    this.coins.splice(i, 1);
+                }
+            }
+
+            // Move power-up pickups
+            for (let i = this.powerUpPickups.length - 1; i >= 0; i--) {
+                const pickup = this.powerUpPickups[i];
+                pickup.update(deltaTime, speed);
+
+                if (pickup.isBehindCamera()) {
+                    pickup.dispose();
+                    this.powerUpPickups.splice(i, 1);
+                }
+            }
+
             // Update environment with current speed
-            this.environment.update(deltaTime, this.speed);
+            this.environment.update(deltaTime, speed);
         // }
     }
 
-    updateCamera() {
+    // Runs every render frame, deltaTime is the real frame time
+    updateCamera(deltaTime) {
         if (!this.character) return;
         
-        // Update camera position to follow player
-        const playerPos = this.character.getPosition();
+        // Spectators can look down on the road from above instead
+        if (this.currentState === this.gameStates.SPECTATING && this.multiplayerManager?.spectatorCamera === 'overhead') {
+            this.camera.position.lerp(new THREE.Vector3(0, 30, 12), 1 - Math.pow(0.9, deltaTime * 60));
+            this.camera.lookAt(0, 0, -20);
+            return;
+        }
+
+        // Update camera position to follow the rendered (interpolated) player
+        const playerPos = this.character.model ? this.character.model.position : this.character.getPosition();
         const cameraTargetPosition = new THREE.Vector3(
             playerPos.x * 0.5,
             this.cameraOffset.y,
             playerPos.z + this.cameraOffset.z
         );
         
-        this.camera.position.lerp(cameraTargetPosition, 0.1);
+        // Same smoothing as lerping 0.1 per frame at 60fps, independent of the refresh rate
+        this.camera.position.lerp(cameraTargetPosition, 1 - Math.pow(0.9, deltaTime * 60));
         this.camera.lookAt(
             playerPos.x * 0.5,
             playerPos.y + 2,
@@ -864,34 +1608,48 @@ class Game {
         );
     }
 
+    // One fixed simulation tick, deltaTime is always this.fixedTimeStep
     updateGame(deltaTime) {
-        console.log('updating game');
         if (this.currentState !== this.gameStates.PLAYING) return;
 
+        this.runTime += deltaTime;
+        this.character.savePreviousPosition();
+
         // Update player position
         this.updatePlayerPosition(deltaTime);
 
-        // Update camera
-        this.updateCamera();
+        // Jump physics
+        this.character.update(deltaTime);
 
-        // Only spawn obstacles when moving forward using spawn rate from settings
-        if (this.isMovingForward && (this.obstacles.length === 0 || Math.random() < this.settings.game.spawnRate)) {
-            this.createObstacle();
-        }
+        this.worldStep = this.isMovingForward ? this.getWorldSpeed() : 0;
 
         // Update obstacles only when moving forward
         if (this.isMovingForward) {
             this.moveWorldForward(deltaTime);
 
+            // Spawn whatever the seeded course has scheduled up to the distance we've reached
+            this.spawnCourse();
+
             // Update score only when moving forward
-            this.score += Math.round(this.speed * 10);
+            this.score += Math.round(this.getWorldSpeed() * 10) * this.powerUps.getScoreMultiplier();
             this.scoreElement.textContent = 'Score: ' + this.score;
             
             // Increase speed gradually
             this.speed += 0.0001;
+        } else {
+            // Keep interpolation from replaying the last movement while standing still
+            this.obstacles.forEach(obstacle => obstacle.previousPosition.copy(obstacle.position));
+            this.coins.forEach(coin => coin.previousPosition.copy(coin.position));
+            this.powerUpPickups.forEach(pickup => pickup.previousPosition.copy(pickup.position));
         }
 
-        // Check for collisions
+        // Power-up timers run on simulation time, so they hold still while paused
+        this.powerUps.update(deltaTime);
+        this.updatePowerUpDisplay();
+        this.updateCadenceDisplay();
+
+        // Pick up coins before checking for collisions
+        this.checkPickups();
         this.checkCollisions();
 
         // Send position updates in multiplayer mode
@@ -902,6 +1660,34 @@ class Game {
         // }
     }
 
+    // Spectator tick: there's no run of our own, the course scrolls along with the racer being watched.
+    // The hidden local character marks where the view is.
+    updateSpectator(deltaTime) {
+        if (this.currentState !== this.gameStates.SPECTATING) return;
+
+        this.character.savePreviousPosition();
+        if (this.character.model) {
+            this.character.model.visible = false;
+        }
+        this.worldStep = 0;
+
+        const target = this.multiplayerManager?.getSpectatorTarget();
+        if (!target) return;
+
+        const virtualPosition = this.character.getVirtualPosition();
+        const step = virtualPosition.z - target.position.z;
+        if (step < 0 || step > this.settings.game.spawnDistance) {
+            // Switched to a racer somewhere else on the course, rebuild it around them
+            this.skipToDistance(-target.position.z);
+        } else {
+            this.worldStep = step;
+            this.moveWorldForward(deltaTime, step);
+            this.character.setVirtualPosition(virtualPosition.x, virtualPosition.y, target.position.z);
+            this.spawnCourse();
+        }
+        this.character.setPosition(target.position.x, this.character.getPosition().y, 0);
+    }
+
     createTestObstacle() {
         if (this.character && this.character.model) {
             console.log('Creating test obstacle to verify Fox model');
@@ -937,24 +1723,253 @@ class Game {
         }
     }
 
-    createObstacle() {
-        // Create new obstacle with settings
-        const obstacle = new Obstacle(this.scene, this.settings);
+    // Distance the world moves per tick, slowed down by the slow-motion power-up and set by the
+    // running cadence with pose controls
+    getWorldSpeed() {
+        const cadenceFactor = this.controlScheme === 'pose' ? this.poseSpeedFactor : 1;
+        return this.speed * this.powerUps.getSpeedFactor() * cadenceFactor;
+    }
+
+    // Distance run along the course, used to place spawns at the same virtual position on every client
+    getPlayerDistance() {
+        return -this.character.getVirtualPosition().z;
+    }
+
+    // Create everything the spawner has generated up to the end of the road ahead,
+    // skipping anything closer than clearance (the course behind a resumed run)
+    spawnCourse(clearance = 0) {
+        const playerDistance = this.getPlayerDistance();
+        for (const spawn of this.spawner.update(playerDistance)) {
+            if (spawn.distance < playerDistance + clearance) {
+                continue;
+            }
+            if (spawn.kind === 'coin') {
+                this.createCoin(spawn);
+            } else if (spawn.kind === 'powerUp') {
+                this.createPowerUpPickup(spawn);
+            } else {
+                this.createObstacle(spawn);
+            }
+        }
+    }
+
+    createCoin(spawn) {
+        const coin = new Coin(this.scene, this.settings, {
+            lane: spawn.lane,
+            height: spawn.height,
+            z: -(spawn.distance - this.getPlayerDistance())
+        });
+        this.coins.push(coin);
+    }
+
+    createPowerUpPickup(spawn) {
+        const pickup = new PowerUp(this.scene, this.settings, {
+            type: spawn.type,
+            lane: spawn.lane,
+            height: spawn.height,
+            z: -(spawn.distance - this.getPlayerDistance())
+        });
+        this.powerUpPickups.push(pickup);
+    }
+
+    createObstacle(spawn) {
+        // Place the obstacle relative to the player using its course distance
+        const definition = OBSTACLE_TYPES[spawn.type];
+        const obstacle = new Obstacle(this.scene, this.settings, {
+            model: definition?.model ? this.modelCache.get(definition.model.path) : null,
+            type: spawn.type,
+            lane: spawn.lane,
+            z: -(spawn.distance - this.getPlayerDistance())
+        });
         this.obstacles.push(obstacle);
     }
 
+    // Load each model-backed obstacle type once, spawns clone it from the cache
+    preloadObstacleModels() {
+        Object.values(OBSTACLE_TYPES)
+            .filter(definition => definition.model)
+            .forEach(definition => this.loadObstacleModel(definition.model));
+    }
+
+    async loadObstacleModel(modelDefinition) {
+        const { path } = modelDefinition;
+        if (this.modelCache.has(path)) {
+            return this.modelCache.get(path);
+        }
+
+        try {
+            const gltf = await this.loader.loadAsync(path);
+            const template = gltf.scene;
+
+            // Scale from the named settings entry, or fit to the target height
+            if (modelDefinition.settings) {
+                template.scale.setScalar(this.settings[modelDefinition.settings].scale);
+            } else {
+                const height = new THREE.Box3().setFromObject(template).getSize(new THREE.Vector3()).y;
+                template.scale.multiplyScalar(modelDefinition.height / height);
+            }
+
+            // Shift the model so the wrapper's origin is at its feet, centered in x and z
+            const bounds = new THREE.Box3().setFromObject(template);
+            const center = bounds.getCenter(new THREE.Vector3());
+            template.position.x -= center.x;
+            template.position.y -= bounds.min.y;
+            template.position.z -= center.z;
+            const wrapper = new THREE.Group();
+            wrapper.add(template);
+
+            const model = {
+                scene: wrapper,
+                animations: gltf.animations,
+                size: bounds.getSize(new THREE.Vector3()) // For reference, obstacles keep their declared hitbox
+            };
+            this.modelCache.set(path, model);
+            console.log('Obstacle model loaded:', path, model.size);
+            return model;
+        } catch (error) {
+            // Cache the failure so spawns fall back to the plain box instead of retrying
+            console.error('Failed to load obstacle model, using a box instead:', path, error);
+            this.modelCache.set(path, null);
+            return null;
+        }
+    }
+
+    checkPickups() {
+        if (!this.character) return;
+
+        const collisionBox = this.character.getCollisionBox();
+
+        // The magnet pulls nearby coins in until they touch the player
+        const magnetRadius = this.powerUps.getMagnetRadius();
+        if (magnetRadius > 0) {
+            const playerPosition = this.character.getPosition();
+            this.coins.forEach(coin => {
+                if (coin.position.distanceTo(playerPosition) < magnetRadius) {
+                    coin.attractTo(playerPosition, 0.3);
+                }
+            });
+        }
+
+        for (let i = this.coins.length - 1; i >= 0; i--) {
+            const coin = this.coins[i];
+            if (collisionBox.intersectsBox(coin.getCollisionBox())) {
+                coin.dispose();
+                this.coins.splice(i, 1);
+                this.runCoins++;
+                this.totalCoins++;
+                saveJSON('coins', this.totalCoins);
+                this.updateCoinDisplay();
+            }
+        }
+
+        for (let i = this.powerUpPickups.length - 1; i >= 0; i--) {
+            const pickup = this.powerUpPickups[i];
+            if (collisionBox.intersectsBox(pickup.getCollisionBox())) {
+                this.powerUps.activate(pickup.type);
+                pickup.dispose();
+                this.powerUpPickups.splice(i, 1);
+            }
+        }
+    }
+
+    updateCoinDisplay() {
+        if (this.coinElement) {
+            this.coinElement.textContent = 'Coins: ' + this.runCoins;
+        }
+    }
+
+    // Running cadence with pose controls, doubles as a workout readout. Empty (hidden) otherwise.
+    updateCadenceDisplay() {
+        if (!this.cadenceElement) return;
+
+        const text = this.controlScheme === 'pose' && this.poseController?.isActive
+            ? `Cadence: ${Math.round(this.poseCadence)} spm`
+            : '';
+        if (this.cadenceElement.textContent !== text) {
+            this.cadenceElement.textContent = text;
+        }
+    }
+
+    // One line per active power-up with its seconds left, only touches the DOM when that changes
+    updatePowerUpDisplay() {
+        if (!this.powerUpElement) return;
+
+        const html = this.powerUps.getTimers()
+            .map(timer => `<div style="color: #${timer.color.toString(16).padStart(6, '0')}">${timer.label} ${timer.seconds}s</div>`)
+            .join('');
+        if (html !== this.powerUpHTML) {
+            this.powerUpHTML = html;
+            this.powerUpElement.innerHTML = html;
+        }
+    }
+
+    // Live standings and camera controls while spectating, only touches the DOM when they change
+    updateSpectatorOverlay() {
+        if (!this.spectatorOverlayElement) return;
+
+        let html = '';
+        const manager = this.multiplayerManager;
+        if (this.currentState === this.gameStates.SPECTATING && manager) {
+            const target = manager.getSpectatorTarget();
+            const view = manager.spectatorCamera === 'overhead'
+                ? 'Overhead view'
+                : `Watching ${target ? this.escapeHTML(manager.getPlayerName(target.playerId)) : '...'}`;
+            const rows = manager.getStandings().map(entry => `
+                <tr style="${entry.playerId === target?.playerId ? 'font-weight: bold;' : ''}">
+                    <td>${entry.rank}.</td>
+                    <td style="color: ${getPlayerColor(entry.playerNumber)}; padding: 0 10px;">${this.escapeHTML(entry.name)}${entry.out ? ' (out)' : ''}</td>
+                    <td>${entry.score}</td>
+                </tr>`).join('');
+            const buttonStyle = 'padding: 5px 10px; margin: 2px; border: none; border-radius: 5px; background: #444; color: white; cursor: pointer;';
+            html = `
+                <div>${view}</div>
+                <table>${rows}</table>
+                <div>
+                    <button onclick="window.game.multiplayerManager.cycleSpectatorTarget(-1)" style="${buttonStyle}">◀</button>
+                    <button onclick="window.game.multiplayerManager.toggleSpectatorCamera()" style="${buttonStyle}">Camera</button>
+                    <button onclick="window.game.multiplayerManager.cycleSpectatorTarget(1)" style="${buttonStyle}">▶</button>
+                    <button onclick="window.game.endGame()" style="${buttonStyle} background: #f44336;">Leave</button>
+                </div>
+                <div style="font-size: 12px; opacity: 0.7;">←/→ switch racer, C overhead view</div>`;
+        }
+        if (html !== this.spectatorOverlayHTML) {
+            this.spectatorOverlayHTML = html;
+            this.spectatorOverlayElement.innerHTML = html;
+        }
+    }
+
+    // Shows our own lost connection, or which other players are reconnecting
+    updateConnectionStatus() {
+        if (!this.connectionStatusElement) return;
+
+        const manager = this.multiplayerManager;
+        let text = '';
+        if (manager?.reconnecting) {
+            text = 'Connection lost, reconnecting…';
+        } else if (manager) {
+            text = manager.getReconnectingPlayers().map(name => `${this.escapeHTML(name)} is reconnecting…`).join('<br>');
+        }
+        this.connectionStatusElement.innerHTML = text;
+    }
+
     checkCollisions() {
         if (!this.character) return;
         
-        const playerPos = this.character.getPosition();
-        const collisionBox = new THREE.Box3().setFromCenterAndSize(
-            playerPos,
-            new THREE.Vector3(0.5, this.character.characterHeight, 0.5)  // Match character's actual size
-        );
+        // Shorter while ducking
+        const collisionBox = this.character.getCollisionBox();
         
-        for (const obstacle of this.obstacles) {
+        for (let i = this.obstacles.length - 1; i >= 0; i--) {
+            const obstacle = this.obstacles[i];
             if (collisionBox.intersectsBox(obstacle.getCollisionBox())) {
+                // The shield takes the hit instead, the obstacle is knocked out of the way
+                if (this.powerUps.consume('shield')) {
+                    obstacle.dispose();
+                    this.obstacles.splice(i, 1);
+                    continue;
+                }
+
                 this.currentState = this.gameStates.GAME_OVER;
+                this.recordRun();
                 // Send game over state if in multiplayer
                 if (this.isMultiplayer && this.multiplayerManager) {
                     console.log('Collision detected, sending game over');
@@ -972,17 +1987,34 @@ class Game {
 
         // Calculate delta time
         const currentTime = performance.now();
-        const deltaTime = (currentTime - this.lastTime) / 1000;
+        const deltaTime = Math.min((currentTime - this.lastTime) / 1000, this.maxFrameTime);
         this.lastTime = currentTime;
 
-        // Only update game logic if playing
-        if (this.currentState === this.gameStates.PLAYING) {
-            // Update game state
-            this.updateGame(deltaTime);
+        // Only update game logic if playing, or watching as a spectator
+        const state = this.currentState;
+        if (state === this.gameStates.PLAYING || state === this.gameStates.SPECTATING) {
+            // Run as many fixed simulation ticks as the elapsed time covers
+            this.accumulator += deltaTime;
+            while (this.accumulator >= this.fixedTimeStep) {
+                if (state === this.gameStates.SPECTATING) {
+                    this.updateSpectator(this.fixedTimeStep);
+                } else {
+                    this.updateGame(this.fixedTimeStep);
+                }
+                this.accumulator -= this.fixedTimeStep;
+                if (this.currentState !== state) break;
+            }
+
+            // Render between the last two ticks
+            this.interpolateScene(this.accumulator / this.fixedTimeStep);
+            this.obstacles.forEach(obstacle => obstacle.updateAnimation(deltaTime));
+            this.coins.forEach(coin => coin.updateAnimation(deltaTime));
+            this.powerUpPickups.forEach(pickup => pickup.updateAnimation(deltaTime));
+            this.updateCamera(deltaTime);
 
             // Update character animations
-            if (this.character && this.character.mixer) {
-                this.character.update(deltaTime);
+            if (this.character) {
+                this.character.updateAnimation(deltaTime);
             }
 
             // Update multiplayer positions and labels
@@ -995,11 +2027,16 @@ class Game {
                         y: this.character.model.position.y,
                         z: characterPosition.z
                     };
-                    this.multiplayerManager.sendPlayerUpdate(position, this.character.currentAnimation);
+                    this.multiplayerManager.sendPlayerUpdate(position, this.character.currentAnimation, currentTime);
                 }
                 
-                // Update opponent animations
+                // Move opponents along their buffered updates, then animate them
+                this.multiplayerManager.updateOpponents(currentTime);
                 this.multiplayerManager.updateOpponentAnimations(deltaTime);
+
+                if (state === this.gameStates.SPECTATING) {
+                    this.updateSpectatorOverlay();
+                }
             }
         }
 
@@ -1007,6 +2044,14 @@ class Game {
         this.renderer.render(this.scene, this.camera);
     }
 
+    interpolateScene(alpha) {
+        this.character.interpolate(alpha);
+        this.obstacles.forEach(obstacle => obstacle.interpolate(alpha));
+        this.coins.forEach(coin => coin.interpolate(alpha));
+        this.powerUpPickups.forEach(pickup => pickup.interpolate(alpha));
+        this.environment.interpolate(alpha, this.worldStep);
+    }
+
     setupSkybox() {
         // Create skybox geometry
         const skyboxGeometry = new THREE.BoxGeometry(10000, 10000, 10000);
@@ -1072,7 +2117,8 @@ class Game {
         instructions.innerHTML = `
             <div style="margin-bottom: 15px; font-size: 24px; font-weight: bold;">Touch Controls</div>
             <div style="margin-bottom: 10px;">👆 Tap to Start/Jump</div>
-            <div>👈 Swipe Left/Right to Move 👉</div>
+            <div style="margin-bottom: 10px;">👈 Swipe Left/Right to Move 👉</div>
+            <div>👇 Swipe Down to Duck</div>
         `;
         document.body.appendChild(instructions);
         this.touchInstructions = instructions;
@@ -1107,6 +2153,7 @@ class Game {
         this.touchStartX = event.touches[0].clientX;
         this.touchStartY = event.touches[0].clientY;
         this.touchStartTime = Date.now();
+        this.swipeHandled = false;
     }
 
     handleTouchMove(event) {
@@ -1118,12 +2165,28 @@ class Game {
         const deltaY = touchEndY - this.touchStartY;
         const deltaTime = Date.now() - this.touchStartTime;
 
+        // Swipe down to duck, once per swipe
+        if (deltaY > Math.abs(deltaX) && deltaY > this.swipeThreshold && deltaTime < this.maxSwipeTime) {
+            event.preventDefault(); // Prevent scrolling
+            if (!this.swipeHandled && this.currentState === this.gameStates.PLAYING) {
+                this.character.duck();
+                this.swipeHandled = true;
+            }
+            return;
+        }
+
         // Only handle horizontal swipes that occur within the time limit
         if (Math.abs(deltaX) > Math.abs(deltaY) && deltaTime < this.maxSwipeTime) {
             event.preventDefault(); // Prevent scrolling
             
             if (Math.abs(deltaX) > this.swipeThreshold) {
-                if (deltaX > 0) {
+                if (this.settings.game.laneSnapping) {
+                    // One lane change per swipe
+                    if (!this.swipeHandled) {
+                        this.changeLane(deltaX > 0 ? 1 : -1);
+                        this.swipeHandled = true;
+                    }
+                } else if (deltaX > 0) {
                     this.isMovingRight = true;
                     this.isMovingLeft = false;
                 } else {
@@ -1137,10 +2200,13 @@ class Game {
     handleTouchEnd(event) {
         const deltaTime = Date.now() - this.touchStartTime;
         const deltaX = event.changedTouches[0].clientX - this.touchStartX;
+        const deltaY = event.changedTouches[0].clientY - this.touchStartY;
 
         // If it's a quick tap without much movement
-        if (Math.abs(deltaX) < this.swipeThreshold && deltaTime < 300) {
-            if (this.currentState === this.gameStates.MENU || 
+        if (Math.abs(deltaX) < this.swipeThreshold && Math.abs(deltaY) < this.swipeThreshold && deltaTime < 300) {
+            if (this.currentState === this.gameStates.GAME_OVER && this.isMultiplayer && this.multiplayerManager) {
+                this.returnToLobby();
+            } else if (this.currentState === this.gameStates.MENU || 
                 this.currentState === this.gameStates.GAME_OVER) {
                 this.startGame();
             } else if (this.currentState === this.gameStates.PAUSED) {
@@ -1156,6 +2222,7 @@ class Game {
         this.touchStartX = null;
         this.touchStartY = null;
         this.touchStartTime = null;
+        this.swipeHandled = false;
     }
 
     isMobileDevice() {
@@ -1198,6 +2265,8 @@ class Game {
         if (this.scoreElement) {
             this.scoreElement.textContent = 'Score: 0';
         }
+        this.runCoins = 0;
+        this.updateCoinDisplay();
         
         // Go back to menu
         this.currentState = this.gameStates.MENU;
@@ -1208,12 +2277,13 @@ class Game {
             this.poseController.stop();
         }
 
-        // Clean up multiplayer if active
-        if (this.isMultiplayer && this.multiplayerManager) {
+        // Clean up multiplayer if active, this also leaves a room we're waiting in
+        if (this.multiplayerManager) {
             this.multiplayerManager.dispose();
             this.multiplayerManager = null;
             this.isMultiplayer = false;
         }
+        this.restoreLocalSettings();
     }
 
     // Add multiplayer methods
@@ -1222,53 +2292,87 @@ class Game {
         this.isMultiplayer = true;
     }
 
-    createMultiplayerRoom() {
+    createMultiplayerRoom(maxPlayers = 2, name = this.playerName) {
         if (!this.multiplayerManager) {
             console.log('Initializing multiplayer manager for room creation...');
             this.multiplayerManager = new MultiplayerManager(this);
         }
-        this.multiplayerManager.createRoom();
+        this.savePlayerName(name);
+        this.multiplayerManager.createRoom(parseInt(maxPlayers, 10), this.playerName);
     }
 
-    joinMultiplayerRoom(roomId) {
+    joinMultiplayerRoom(roomId, name = this.playerName, spectate = false) {
         if (!this.multiplayerManager) {
             console.log('Initializing multiplayer manager for room joining...');
             this.multiplayerManager = new MultiplayerManager(this);
         }
-        this.multiplayerManager.joinRoom(roomId);
+        this.savePlayerName(name);
+        this.multiplayerManager.joinRoom(roomId, this.playerName, spectate);
     }
 
-    showRoomCode(roomId) {
-        // Update the menu screen to show the room code
-        const roomCodeDisplay = document.createElement('div');
-        roomCodeDisplay.style.cssText = `
-            margin: 20px 0;
-            padding: 15px;
-            background: rgba(255,255,255,0.1);
-            border-radius: 8px;
-            font-size: 24px;
-        `;
-        roomCodeDisplay.innerHTML = `
-            <h3>Room Code:</h3>
-            <div style="font-size: 32px; font-weight: bold; color: #4CAF50;">${roomId}</div>
-            <p style="font-size: 16px; margin-top: 10px;">Share this code with your friend to join the game</p>
-        `;
-        
-        // Find the existing room code display if any and remove it
-        const existingRoomCode = this.menuScreen.querySelector('#room-code-display');
-        if (existingRoomCode) {
-            existingRoomCode.remove();
+    findQuickMatch(name = this.playerName, sameControls = false) {
+        if (!this.multiplayerManager) {
+            console.log('Initializing multiplayer manager for matchmaking...');
+            this.multiplayerManager = new MultiplayerManager(this);
         }
-        
-        // Add the new room code display
-        roomCodeDisplay.id = 'room-code-display';
-        this.menuScreen.appendChild(roomCodeDisplay);
+        this.savePlayerName(name);
+        this.multiplayerManager.findMatch(this.playerName, this.controlScheme, sameControls);
+    }
+
+    // Same name for rooms and the global leaderboard
+    savePlayerName(name) {
+        const trimmed = (name || '').trim();
+        if (trimmed && trimmed !== this.playerName) {
+            this.playerName = trimmed;
+            saveJSON('playerName', trimmed);
+        }
+    }
+
+    showRoomLobby() {
+        this.currentState = this.gameStates.MULTIPLAYER_LOBBY;
+        this.updateMenuScreen();
+    }
+
+    // Server-driven 3-2-1 before each round
+    showCountdown(seconds, round, rounds) {
+        this.countdown = { seconds, round, rounds };
+        this.currentState = this.gameStates.COUNTDOWN;
+        this.updateMenuScreen();
+    }
+
+    // Play the match on the host's settings, our own are put back by restoreLocalSettings
+    applyRoomSettings(roomSettings) {
+        if (!roomSettings) return;
+        const game = this.settings.game;
+        if (!this.localGameSettings) {
+            this.localGameSettings = {
+                obstacleSpeed: game.obstacleSpeed,
+                spawnRate: game.spawnRate,
+                difficulty: game.difficulty,
+                laneCount: game.laneCount,
+                laneSnapping: game.laneSnapping
+            };
+        }
+        game.obstacleSpeed = roomSettings.speed;
+        game.spawnRate = roomSettings.spawnRate;
+        game.difficulty = roomSettings.difficulty;
+        // Lanes decide where everything on the course goes, a local lane count would be a different course
+        game.laneCount = roomSettings.laneCount ?? DEFAULT_LANE_COUNT;
+        game.laneSnapping = roomSettings.laneSnapping ?? false;
+    }
+
+    restoreLocalSettings() {
+        if (!this.localGameSettings) return;
+        Object.assign(this.settings.game, this.localGameSettings);
+        this.localGameSettings = null;
     }
 
-    startMultiplayerGame() {
-        console.log('starting multiplayer game')
+    startMultiplayerGame(seed, roomSettings, resumeRun = null) {
+        console.log('starting multiplayer game', { seed, roomSettings, resumeRun })
         // Set multiplayer flag
         this.isMultiplayer = true;
+        this.countdown = null;
+        this.applyRoomSettings(roomSettings);
         
         // Clean up the scene
         this.cleanupScene();
@@ -1291,10 +2395,17 @@ class Game {
         
         // Hide menu and start the game
         this.menuScreen.style.display = 'none';
-        this.startGame();
+        this.startGame(seed, resumeRun);
         
     }
 
+    // Spectators load the round's course like a racer, then watch instead of running
+    startSpectating(seed, roomSettings) {
+        this.startMultiplayerGame(seed, roomSettings);
+        this.currentState = this.gameStates.SPECTATING;
+        this.updateMenuScreen();
+    }
+
     handleMultiplayerDisconnect() {
         alert('Disconnected from multiplayer game');
         this.isMultiplayer = false;
@@ -1313,39 +2424,6 @@ class Game {
         this.updateMenuScreen();
     }
 
-    showPlayAgainPrompt(playerId) {
-        const content = `
-            <h1>Play Again?</h1>
-            <p>${playerId} wants to play again!</p>
-            <div style="margin: 20px 0;">
-                <button onclick="window.game.acceptPlayAgain()" 
-                        style="padding: 10px 20px; margin: 5px; background: #4CAF50; 
-                               border: none; border-radius: 5px; color: white; cursor: pointer;">
-                    Play Again
-                </button>
-                <button onclick="window.game.declinePlayAgain()" 
-                        style="padding: 10px 20px; margin: 5px; background: #f44336; 
-                               border: none; border-radius: 5px; color: white; cursor: pointer;">
-                    Return to Menu
-                </button>
-            </div>
-        `;
-        this.menuScreen.innerHTML = content;
-        this.menuScreen.style.display = 'block';
-    }
-
-    acceptPlayAgain() {
-        if (this.multiplayerManager) {
-            this.multiplayerManager.acceptPlayAgain();
-        }
-    }
-
-    declinePlayAgain() {
-        if (this.multiplayerManager) {
-            this.multiplayerManager.declinePlayAgain();
-        }
-    }
-
     initializeSettings() {
         console.log('initializing settings', this.settings.game.roadWidth);
         this.settings = {
@@ -1377,38 +2455,14 @@ class Game {
     }
 
     initializeObstacles() {
-        // Create initial obstacles from spawn distance to end of road
-        const startZ = -this.settings.game.spawnDistance;
-        const endZ = -this.settings.game.roadLength;
-        const spacing = 15;  // Space between obstacles
-        
-        // Calculate how many obstacles we can fit
-        const distance = Math.abs(endZ - startZ);
-        const numberOfObstacles = Math.floor(distance / spacing);
-        
-        console.log('Creating initial obstacles:', {
-            startZ,
-            endZ,
-            spacing,
-            numberOfObstacles
-        });
+        // Create the course from spawn distance to end of road
+        this.spawnCourse();
 
-        // Create obstacles from near to far
-        for(let i = 0; i < numberOfObstacles; i++) {
-            const z = startZ - (i * spacing);  // Start close and move further
-            this.createInitialObstacle(z);
-        }
-    }
-
-    createInitialObstacle(zPosition) {
-        const obstacle = new Obstacle(this.scene, {
-            ...this.settings,
-            game: {
-                ...this.settings.game,
-                spawnDistance: Math.abs(zPosition)  // Override spawn distance
-            }
+        console.log('Created initial course:', {
+            seed: this.courseSeed,
+            numberOfObstacles: this.obstacles.length,
+            numberOfCoins: this.coins.length
         });
-        this.obstacles.push(obstacle);
     }
 }
 
@@ -1,5 +1,21 @@
 import { Character } from './character.js';
+import { getLaneCenter } from './lanes.js';
 import * as THREE from 'three';
+import { loadJSON, saveJSON, removeJSON } from './storage.js';
+import { SnapshotBuffer } from './snapshotBuffer.js';
+import { PROTOCOL_VERSION, PlayerUpdateEncoder, PlayerUpdateDecoder, isBinaryMessage } from '../shared/protocol.js';
+
+// Kept per tab while we're in a room, so a dropped connection or a reload can take our place back
+const SESSION_KEY = 'multiplayerSession';
+
+const UPDATE_INTERVAL = 50; // Milliseconds between our position updates (20 Hz)
+
+// Label colour for each player number, wrapping round for bigger rooms
+export const PLAYER_COLORS = ['#4CAF50', '#2196F3', '#FF9800', '#E91E63', '#9C27B0', '#00BCD4', '#FFEB3B', '#795548'];
+
+export function getPlayerColor(playerNumber) {
+    return PLAYER_COLORS[(playerNumber - 1) % PLAYER_COLORS.length];
+}
 
 export class MultiplayerManager {
     constructor(gameInstance) {
@@ -7,18 +23,48 @@ export class MultiplayerManager {
         this.socket = null;
         this.opponents = new Map();
         this.opponentScores = new Map();
+        this.opponentBuffers = new Map(); // playerId -> SnapshotBuffer of their position updates
+        this.opponentPositions = new Map(); // playerId -> virtual position as currently shown
+        this.lastUpdateSent = 0;
+        this.updateEncoder = new PlayerUpdateEncoder();
+        this.updateDecoder = new PlayerUpdateDecoder();
         this.opponentCurrentAnimation = 'Survey';
         this.roomId = null;
         this.isHost = false;
+        this.isPublic = false; // Quick match room, starts by itself once everyone is ready
+        this.queue = null; // { controlScheme, waiting, matchSize } while we're waiting for a quick match
+        this.isSpectator = false; // Watching the room: we get every update but don't race
+        this.spectators = 0;
+        this.spectatorTargetId = null; // Racer the spectator camera follows, null for whoever leads
+        this.spectatorCamera = 'follow'; // 'follow' or 'overhead'
+        this.playerId = null;
         this.playerNumber = null;
+        this.maxPlayers = 2;
+        this.players = new Map(); // playerId -> { playerNumber, name, ready } for everyone in the room, us included
+        this.roomSettings = null; // Host's settings for the match: speed, spawnRate, difficulty, rounds, laneCount, laneSnapping
+        this.round = 0;
+        this.rounds = 1;
+        this.matchOver = false;
+        this.nextRoundIn = 0;
+        this.matchScores = new Map(); // playerId -> score summed over the rounds of the match, from the server
+        this.raceResult = null; // The server's results for the last finished round
+        this.outPlayers = new Set(); // Players who crashed out of the round while the others race on, us included
         this.playerLabels = new Map();
+        this.sessionToken = loadJSON(SESSION_KEY, null, { session: true });
+        this.reconnecting = false; // Lost the connection while in a room, the server holds our slot meanwhile
+        this.pendingGameOver = false; // Crashed while disconnected, sent once we're back
         this.connectionAttempts = 0;
-        this.maxReconnectAttempts = 3;
+        this.maxReconnectAttempts = 10; // Two seconds apart, a bit less than the server's grace period
         this.reconnectTimeout = null;
         this.isConnecting = false;
         this.setupWebSocket();
     }
 
+    // True if this tab was in a room before the page was reloaded
+    static hasSession() {
+        return loadJSON(SESSION_KEY, null, { session: true }) !== null;
+    }
+
     setupWebSocket() {
         if (this.isConnecting) {
             console.log('Connection attempt already in progress');
@@ -51,16 +97,23 @@ export class MultiplayerManager {
 
             console.log('Attempting WebSocket connection to:', wsUrl);
             this.socket = new WebSocket(wsUrl);
+            this.socket.binaryType = 'arraybuffer';
 
             this.socket.onopen = () => {
                 console.log('Successfully connected to WebSocket server');
                 this.connectionAttempts = 0;
                 this.isConnecting = false;
 
+                // Delta-coded scores start over with a new connection
+                this.updateEncoder.reset();
+                this.updateDecoder.reset();
+
                 // Send initial handshake message
                 this.socket.send(JSON.stringify({
                     type: 'init',
-                    clientType: 'player'
+                    clientType: 'player',
+                    protocolVersion: PROTOCOL_VERSION,
+                    sessionToken: this.sessionToken
                 }));
             };
 
@@ -82,9 +135,10 @@ export class MultiplayerManager {
                 
                 this.isConnecting = false;
 
-                // End the game if we were in a room
-                if (this.roomId) {
-                    this.game.endGame('Connection to game server lost');
+                // Keep going while we reconnect, the server holds our place in the room
+                if (this.roomId && !this.reconnecting) {
+                    this.reconnecting = true;
+                    this.game.updateConnectionStatus();
                 }
 
                 // Only attempt reconnect if we haven't exceeded max attempts
@@ -109,17 +163,19 @@ export class MultiplayerManager {
                 console.log('Current URL:', window.location.href);
                 console.log('Attempted WS URL:', wsUrl);
                 this.isConnecting = false;
-                
-                if (this.roomId) {
-                    this.game.endGame('Connection error occurred');
-                }
+                // onclose follows and takes care of reconnecting
             };
 
             this.socket.onmessage = (event) => {
                 try {
-                    const message = JSON.parse(event.data);
+                    // Position updates come as binary frames, everything else as JSON
+                    const message = isBinaryMessage(event.data)
+                        ? this.decodePlayerUpdate(event.data)
+                        : JSON.parse(event.data);
                     // console.log('Received message:', message);
-                    this.handleMessage(message);
+                    if (message) {
+                        this.handleMessage(message);
+                    }
                 } catch (error) {
                     console.error('Error parsing message:', error);
                 }
@@ -161,35 +217,120 @@ export class MultiplayerManager {
         }
 
         switch (message.type) {
+            case 'initAck':
+                if (message.protocolVersion !== PROTOCOL_VERSION) {
+                    this.game.endGame('This game version is out of date, please reload the page');
+                    break;
+                }
+                this.sessionToken = message.sessionToken;
+                if (message.resumed) {
+                    this.resume(message.resumed);
+                } else if (this.roomId) {
+                    // Back too late, the server has already given our slot up
+                    this.game.endGame('You were disconnected for too long');
+                } else {
+                    // Nothing to resume (e.g. the room is gone after a reload). A new connection
+                    // isn't in the matchmaking queue either, unless the server moved our place in
+                    // it over, then a queueStatus follows.
+                    removeJSON(SESSION_KEY, { session: true });
+                    if (this.queue) {
+                        this.queue = null;
+                        this.game.updateMenuScreen();
+                    }
+                }
+                break;
+
             case 'roomCreated':
                 this.roomId = message.roomId;
-                // Create label for local player
-                this.game.showRoomCode(message.roomId);
+                this.isHost = true;
+                this.playerId = message.playerId;
+                this.playerNumber = message.playerNumber;
+                this.saveSession();
                 break;
 
             case 'joinedRoom':
                 this.roomId = message.roomId;
                 this.isHost = false;
-                this.playerNumber = 2;
-                // Create label for local player
-                console.log('Successfully joined room:', message.roomId, 'as player', this.playerNumber);
+                this.isSpectator = Boolean(message.spectator);
+                this.playerId = message.playerId;
+                this.playerNumber = message.playerNumber ?? null;
+                this.queue = null;
+                if (!this.isSpectator) {
+                    this.saveSession();
+                }
+                console.log(message.matched ? 'Matched into room:' : 'Successfully joined room:', message.roomId, 'as player', this.playerNumber);
+                break;
+
+            case 'lobbyUpdate':
+                this.setPlayers(message.players);
+                this.isHost = message.hostId === this.playerId;
+                this.isPublic = message.isPublic;
+                this.spectators = message.spectators;
+                this.maxPlayers = message.maxPlayers;
+                this.roomSettings = message.settings;
+                if (this.game.currentState === this.game.gameStates.MULTIPLAYER_LOBBY) {
+                    this.game.showRoomLobby();
+                }
                 break;
 
-            case 'playerJoined':
-                console.log('New player joined:', message.playerId);
-                if (message.playerNumber) {
-                    this.playerNumber = message.playerNumber;
+            case 'queueStatus':
+                this.queue = message.queued ? {
+                    controlScheme: message.controlScheme,
+                    waiting: message.waiting,
+                    matchSize: message.matchSize
+                } : null;
+                if (this.game.currentState === this.game.gameStates.MULTIPLAYER_LOBBY && !this.roomId) {
+                    this.game.updateMenuScreen();
                 }
-                // Update local player label position
+                break;
+
+            case 'spectateState':
+                // Joined as a spectator, possibly in the middle of a round
+                this.setPlayers(message.players);
+                this.round = message.round;
+                this.rounds = message.rounds;
+                this.roomSettings = message.settings;
+                this.setOutPlayers(message.out);
+                message.progress.forEach(({ playerId, position, score }) => {
+                    if (position) {
+                        this.opponentPositions.set(playerId, position);
+                    }
+                    this.opponentScores.set(playerId, score);
+                });
+                if (message.gameStarted && !message.roundOver && !message.countingDown) {
+                    this.game.startSpectating(message.seed, message.settings);
+                } else {
+                    this.game.showRoomLobby();
+                }
+                break;
+
+            case 'countdown':
+                this.game.showCountdown(message.seconds, message.round, message.rounds);
                 break;
 
             case 'gameStart':
-                console.log('Game starting...');
-                this.game.startMultiplayerGame();
+                console.log('Game starting with course seed:', message.seed, 'round', message.round, 'of', message.rounds);
+                this.setPlayers(message.players);
+                if (message.round === 1) {
+                    this.matchScores.clear();
+                }
+                this.round = message.round;
+                this.rounds = message.rounds;
+                this.matchOver = false;
+                this.raceResult = null;
+                this.setOutPlayers([]);
+                this.opponentScores.clear();
+                this.opponentPositions.clear();
+                this.opponentBuffers.forEach(buffer => buffer.clear());
+                if (this.isSpectator) {
+                    this.game.startSpectating(message.seed, message.settings);
+                } else {
+                    this.game.startMultiplayerGame(message.seed, message.settings);
+                }
                 break;
 
             case 'playerUpdate':
-                this.updateOpponentPosition(message.playerId, message.position, message.animation);
+                this.updateOpponentPosition(message.playerId, message.position, message.animation, message.playerNumber, message.time);
                 // Store opponent's score
                 if (message.score !== undefined) {
                     this.opponentScores.set(message.playerId, message.score);
@@ -198,39 +339,64 @@ export class MultiplayerManager {
 
             case 'gameOver':
                 console.log('Game Over received:', message);
-                // Store final score for the player who lost
+                // Another player crashed, they're out but the round goes on until everyone is
                 if (message.score !== undefined && message.playerId) {
                     this.opponentScores.set(message.playerId, message.score);
                 }
-                // End the game for this player too
-                this.game.currentState = this.game.gameStates.GAME_OVER;
-                this.game.updateMenuScreen();
+                this.setOutPlayers([...this.outPlayers, message.playerId]);
+                if (this.game.currentState === this.game.gameStates.GAME_OVER) {
+                    this.game.updateMenuScreen();
+                }
                 break;
 
-            case 'playerLeft':
-                this.removeOpponent(message.playerId);
-                if (this.socket) { // Only end game if we haven't already cleaned up
-                    this.game.endGame('Other player has left the game');
+            case 'raceResult':
+                // Decided by the server from the progress it accepted, everyone sees the same result
+                this.raceResult = message;
+                this.matchScores = new Map(message.match.map(entry => [entry.playerId, entry.score]));
+                if (this.game.currentState === this.game.gameStates.GAME_OVER) {
+                    this.game.updateMenuScreen();
                 }
                 break;
 
-            case 'playAgainRequest':
-                console.log('Received play again request from:', message.playerId);
-                // Show the play again prompt to the player
-                this.game.showPlayAgainPrompt(message.playerId);
+            case 'roundOver':
+                this.matchOver = message.matchOver;
+                this.nextRoundIn = message.nextRoundIn;
+                if (this.game.currentState === this.game.gameStates.SPECTATING) {
+                    this.game.currentState = this.game.gameStates.GAME_OVER;
+                }
+                if (this.game.currentState === this.game.gameStates.GAME_OVER) {
+                    this.game.updateMenuScreen();
+                }
                 break;
 
-            case 'playAgainAccepted':
-                console.log('Play again request accepted');
-                // Reset scores
-                this.opponentScores.clear();
-                // Start new game
-                this.game.startMultiplayerGame();
+            case 'playerConnection':
+                // Someone dropped out or came back, their slot is kept in between
+                if (this.players.has(message.playerId)) {
+                    this.players.get(message.playerId).connected = message.connected;
+                }
+                this.game.updateConnectionStatus();
                 break;
 
-            case 'playAgainDeclined':
-                console.log('Play again request declined');
-                this.game.endGame('Other player declined to play again');
+            case 'playerLeft':
+                this.removeOpponent(message.playerId);
+                this.opponentScores.delete(message.playerId);
+                this.opponentPositions.delete(message.playerId);
+                this.opponentBuffers.delete(message.playerId);
+                this.matchScores.delete(message.playerId);
+                if (this.spectatorTargetId === message.playerId) {
+                    this.spectatorTargetId = null;
+                }
+                this.setPlayers(message.players);
+                this.isHost = message.hostId === this.playerId;
+                if (this.game.currentState !== this.game.gameStates.MULTIPLAYER_LOBBY &&
+                    this.socket && this.players.size < 2) { // Only end game if we haven't already cleaned up
+                    if (this.isSpectator) {
+                        // Nothing left to watch, the room is back in its lobby
+                        this.game.showRoomLobby();
+                    } else {
+                        this.game.endGame('All other players have left the game');
+                    }
+                }
                 break;
 
             case 'error':
@@ -242,7 +408,95 @@ export class MultiplayerManager {
         }
     }
 
-    createRoom() {
+    setPlayers(players) {
+        if (!players) return;
+        this.players = new Map(players.map(player => [player.playerId, {
+            playerNumber: player.playerNumber,
+            name: player.name || `Player ${player.playerNumber}`,
+            ready: Boolean(player.ready),
+            connected: player.connected !== false
+        }]));
+        this.game.updateConnectionStatus();
+    }
+
+    // Names of the other players whose connection dropped, while the server holds their slot
+    getReconnectingPlayers() {
+        return [...this.players]
+            .filter(([playerId, player]) => playerId !== this.playerId && !player.connected)
+            .map(([, player]) => player.name);
+    }
+
+    saveSession() {
+        saveJSON(SESSION_KEY, this.sessionToken, { session: true });
+    }
+
+    // The server gave us our slot back, catch up with whatever the room did while we were gone
+    resume(state) {
+        const { gameStates, currentState } = this.game;
+        this.reconnecting = false;
+        this.roomId = state.roomId;
+        this.playerId = state.playerId;
+        this.playerNumber = state.playerNumber;
+        this.isHost = state.hostId === this.playerId;
+        this.roomSettings = state.settings;
+        this.rounds = state.rounds;
+        this.setOutPlayers(state.out);
+        this.saveSession();
+        this.game.updateConnectionStatus();
+        console.log('Resumed in room:', state.roomId, 'as player', this.playerNumber);
+
+        if (this.pendingGameOver) {
+            this.pendingGameOver = false;
+            this.sendGameOver();
+        }
+
+        const running = currentState === gameStates.PLAYING || currentState === gameStates.PAUSED;
+        if (state.gameStarted && !state.roundOver && this.outPlayers.has(this.playerId)) {
+            // We crashed before the page was reloaded, wait for the others to finish
+            if (currentState !== gameStates.GAME_OVER) {
+                this.round = state.round;
+                this.game.currentState = gameStates.GAME_OVER;
+                this.game.updateMenuScreen();
+            }
+        } else if (state.gameStarted && !state.roundOver) {
+            // Lost our run (page reload) or missed the start, rejoin the round where we last were.
+            // During a countdown the next tick takes us there instead.
+            const stillRacing = running && this.game.courseSeed === state.seed;
+            if (!state.countingDown && !stillRacing && currentState !== gameStates.GAME_OVER) {
+                this.round = state.round;
+                this.game.startMultiplayerGame(state.seed, state.settings, state.run);
+            }
+        } else if (running) {
+            // The round, or the whole match, ended while we were away
+            this.matchOver = !state.gameStarted;
+            this.game.currentState = gameStates.GAME_OVER;
+            this.game.recordRun();
+            this.game.updateMenuScreen();
+        } else if (!state.gameStarted && currentState !== gameStates.GAME_OVER) {
+            this.game.showRoomLobby();
+        }
+    }
+
+    getPlayerName(playerId) {
+        return this.players.get(playerId)?.name ?? 'Player';
+    }
+
+    // Name shown over a racer, marked once they're out of the round
+    getPlayerLabel(playerId) {
+        return `${this.getPlayerName(playerId)}${this.outPlayers.has(playerId) ? ' (out)' : ''}`;
+    }
+
+    setOutPlayers(playerIds = []) {
+        this.outPlayers = new Set(playerIds);
+        this.opponents.forEach((opponent, playerId) => opponent.setPlayerLabel(this.getPlayerLabel(playerId)));
+    }
+
+    // Still racing after we've crashed, until the server's results for the round come in
+    isWaitingForRound() {
+        return !this.isSpectator && !(this.raceResult && this.raceResult.round === this.round);
+    }
+
+    createRoom(maxPlayers = 2, name = '') {
         if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
             console.error('WebSocket not connected. State:', this.socket ? this.socket.readyState : 'null');
             alert('Not connected to server. Please wait while we reconnect...');
@@ -254,11 +508,68 @@ export class MultiplayerManager {
         this.isHost = true;  // Set host flag when creating room
         this.playerNumber = 1;  // Host is always player 1
         this.socket.send(JSON.stringify({
-            type: 'createRoom'
+            type: 'createRoom',
+            maxPlayers,
+            name
+        }));
+    }
+
+    sendLobbyMessage(message) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN || !this.roomId) {
+            return;
+        }
+        this.socket.send(JSON.stringify({ ...message, roomId: this.roomId }));
+    }
+
+    toggleReady() {
+        const ready = !this.players.get(this.playerId)?.ready;
+        this.sendLobbyMessage({ type: 'setReady', ready });
+    }
+
+    // Host only, the server ignores settings from anyone else
+    updateRoomSettings(changes) {
+        if (!this.isHost) return;
+        this.sendLobbyMessage({ type: 'updateSettings', settings: changes });
+    }
+
+    // Quick match: wait in the server's queue for other players. With sameControls we're only
+    // matched with players using the same control scheme.
+    findMatch(name = '', controlScheme = 'keyboard', sameControls = false) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            console.error('WebSocket not connected. State:', this.socket ? this.socket.readyState : 'null');
+            alert('Not connected to server. Please wait while we reconnect...');
+            this.setupWebSocket();
+            return;
+        }
+
+        console.log('Looking for a match...', { controlScheme, sameControls });
+        this.socket.send(JSON.stringify({
+            type: 'findMatch',
+            name,
+            controlScheme,
+            sameControls
         }));
     }
 
-    joinRoom(roomId) {
+    cancelMatch() {
+        if (!this.queue || !this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+        this.socket.send(JSON.stringify({ type: 'cancelMatch' }));
+    }
+
+    canStart() {
+        const players = [...this.players.values()];
+        return this.isHost && !this.isPublic && players.length >= 2 && players.every(player => player.ready && player.connected);
+    }
+
+    // Host only, once everyone is ready. The server runs the countdown.
+    startMatch() {
+        if (!this.canStart()) return;
+        console.log('Starting match with', this.players.size, 'players');
+        this.sendLobbyMessage({ type: 'startGame' });
+    }
+
+    // With spectate we watch the room instead of taking a player slot, which also works mid-match
+    joinRoom(roomId, name = '', spectate = false) {
         if (!roomId) {
             alert('Please enter a room code');
             return;
@@ -274,15 +585,21 @@ export class MultiplayerManager {
             return;
         }
 
-        console.log('Joining room:', roomId);
+        console.log(spectate ? 'Watching room:' : 'Joining room:', roomId);
         this.socket.send(JSON.stringify({
             type: 'joinRoom',
-            roomId: roomId
+            roomId: roomId,
+            name,
+            spectate
         }));
     }
 
     sendGameOver() {
-        if (!this.socket || this.socket.readyState !== WebSocket.OPEN || !this.roomId) {
+        if (!this.roomId || this.isSpectator) return;
+        this.outPlayers.add(this.playerId);
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            // Sent once we've reconnected, or the round would never end for the others
+            this.pendingGameOver = this.reconnecting;
             return;
         }
 
@@ -291,53 +608,113 @@ export class MultiplayerManager {
             type: 'gameOver',
             roomId: this.roomId,
             playerId: this.socket.id, // Include sender's ID
-            score: this.game.score
+            score: this.game.score,
+            distance: -this.game.character.getVirtualPosition().z
         }));
     }
 
-    sendPlayerUpdate(position, animation) {
-        if (!this.socket || this.socket.readyState !== WebSocket.OPEN || !this.roomId) {
+    // Called every render frame, but only sends at UPDATE_INTERVAL. The others interpolate in between.
+    sendPlayerUpdate(position, animation, now = performance.now()) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN || !this.roomId || this.isSpectator) {
             return;
         }
+        if (now - this.lastUpdateSent < UPDATE_INTERVAL) {
+            return;
+        }
+        this.lastUpdateSent = now;
 
-        // Send the virtual position and score
-        this.socket.send(JSON.stringify({
-            type: 'playerUpdate',
-            roomId: this.roomId,
+        // Send the virtual position and score, stamped so the others can space the snapshots out
+        this.socket.send(this.updateEncoder.encode({
+            time: now,
             position: position,
             animation: animation,
             score: this.game.score
         }));
     }
 
-    async updateOpponentPosition(playerId, position, animation) {
-        let opponent = this.opponents.get(playerId);
-        const currentZPosition = this.game.character.getVirtualPosition().z 
-        
-        if (!opponent) {
+    // Binary updates carry the sender's player number rather than their id
+    decodePlayerUpdate(data) {
+        const update = this.updateDecoder.decode(data);
+        if (!update) return null;
+        for (const [playerId, player] of this.players) {
+            if (player.playerNumber === update.playerNumber) {
+                return { ...update, playerId };
+            }
+        }
+        return null;
+    }
+
+    // Buffers the update, the opponent is moved to it by updateOpponents
+    updateOpponentPosition(playerId, position, animation, playerNumber = this.players.get(playerId)?.playerNumber, time = performance.now()) {
+        if (!this.opponents.has(playerId)) {
             // Create new opponent character if it doesn't exist
-            console.log('Creating new opponent character for player:', playerId);
-            opponent = new Character(this.game.scene, false, 'Player 2');
-            this.opponents.set(playerId, opponent);
+            console.log('Creating new opponent character for player:', playerId, playerNumber);
+            this.opponents.set(playerId, new Character(this.game.scene, false, this.getPlayerLabel(playerId), getPlayerColor(playerNumber)));
         }
-        if (opponent && position) {
-            if (opponent.model) {
-                console.log('opponent', position.z, this.game.character.getPosition());
+        if (!position) return;
 
-                // Update opponent's position directly
-                opponent.setPosition(position.x, position.y, position.z - currentZPosition);
+        let buffer = this.opponentBuffers.get(playerId);
+        if (!buffer) {
+            buffer = new SnapshotBuffer();
+            this.opponentBuffers.set(playerId, buffer);
+        }
+        buffer.push(time, position, animation);
+    }
 
-                // Update animation if provided
-                if (animation != opponent.currentAnimation) {
-                    // Debug logging for animation state
-                    opponent.playAnimation(animation, null, true);
+    // Every render frame: place each opponent where their snapshot buffer says they were a moment ago.
+    // Positions are virtual, so they're shown relative to where our own run (or spectator view) is.
+    updateOpponents(now = performance.now()) {
+        const currentZPosition = this.game.character.getVirtualPosition().z;
+        for (const [playerId, buffer] of this.opponentBuffers) {
+            const sample = buffer.sample(now);
+            if (!sample) continue;
+            this.opponentPositions.set(playerId, sample.position);
+
+            const opponent = this.opponents.get(playerId);
+            if (opponent?.model) {
+                const { x, y, z } = sample.position;
+                opponent.setPosition(x, y, z - currentZPosition);
+                if (sample.animation && sample.animation !== opponent.currentAnimation) {
+                    opponent.playAnimation(sample.animation, null, true);
                 }
-            } else {
-                console.log('Waiting for opponent model to load...');
             }
         }
     }
 
+    // Racers in player number order, for cycling the spectator camera through them
+    getRacerIds() {
+        return [...this.players]
+            .sort(([, a], [, b]) => a.playerNumber - b.playerNumber)
+            .map(([playerId]) => playerId);
+    }
+
+    // The racer the spectator view is on: the chosen one, or whoever is furthest along.
+    // The overhead view always follows the leader.
+    getSpectatorTarget() {
+        if (this.spectatorCamera === 'follow' && this.opponentPositions.has(this.spectatorTargetId)) {
+            return { playerId: this.spectatorTargetId, position: this.opponentPositions.get(this.spectatorTargetId) };
+        }
+        let leader = null;
+        for (const [playerId, position] of this.opponentPositions) {
+            if (!leader || position.z < leader.position.z) {
+                leader = { playerId, position };
+            }
+        }
+        return leader;
+    }
+
+    cycleSpectatorTarget(direction) {
+        const racerIds = this.getRacerIds();
+        if (racerIds.length === 0) return;
+        const current = racerIds.indexOf(this.getSpectatorTarget()?.playerId);
+        this.spectatorTargetId = racerIds[(current + direction + racerIds.length) % racerIds.length];
+        this.spectatorCamera = 'follow';
+    }
+
+    toggleSpectatorCamera() {
+        this.spectatorCamera = this.spectatorCamera === 'follow' ? 'overhead' : 'follow';
+    }
+
     removeOpponent(playerId) {
         const opponent = this.opponents.get(playerId);
         if (opponent) {
@@ -366,9 +743,15 @@ export class MultiplayerManager {
             this.reconnectTimeout = null;
         }
         
-        // Store roomId before cleanup
-        const wasInRoom = this.roomId;
+        // Leaving on purpose, give the slot up now rather than after the reconnect grace period
+        if (this.roomId && this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify({ type: 'leaveRoom' }));
+        }
         this.roomId = null;
+        this.reconnecting = false;
+        this.players.clear();
+        removeJSON(SESSION_KEY, { session: true });
+        this.game.updateConnectionStatus();
         
         // Clean up WebSocket connection
         if (this.socket) {
@@ -382,98 +765,65 @@ export class MultiplayerManager {
         }
     }
 
-    requestPlayAgain() {
-        if (!this.socket || this.socket.readyState !== WebSocket.OPEN || !this.roomId) {
-            return;
+    // Every player in the room ranked by score, tied players share a rank.
+    // Once the round is over this is the server's result rather than the scores we saw.
+    getStandings() {
+        if (this.raceResult && this.raceResult.round === this.round) {
+            return this.raceResult.results.map(entry => ({ ...entry, isLocal: entry.playerId === this.playerId }));
         }
-
-        console.log('Sending play again request');
-        this.socket.send(JSON.stringify({
-            type: 'playAgainRequest',
-            roomId: this.roomId
+        const standings = [...this.players].map(([playerId, { playerNumber, name }]) => ({
+            playerId,
+            playerNumber,
+            name,
+            isLocal: playerId === this.playerId,
+            out: this.outPlayers.has(playerId),
+            score: playerId === this.playerId ? this.game.score : (this.opponentScores.get(playerId) ?? 0)
         }));
+        return this.rankStandings(standings);
     }
 
-    acceptPlayAgain() {
-        if (!this.socket || this.socket.readyState !== WebSocket.OPEN || !this.roomId) {
-            return;
-        }
-
-        console.log('Accepting play again request');
-        this.socket.send(JSON.stringify({
-            type: 'playAgainAccepted',
-            roomId: this.roomId
+    // Same as getStandings but ranked by the totals of every finished round of the match
+    getMatchStandings() {
+        const standings = [...this.players].map(([playerId, { playerNumber, name }]) => ({
+            playerId,
+            playerNumber,
+            name,
+            isLocal: playerId === this.playerId,
+            score: this.matchScores.get(playerId) ?? 0
         }));
-        
-        // Reset scores
-        this.opponentScores.clear();
-        // Note: We don't call startMultiplayerGame here anymore since it's called in handleMessage
+        return this.rankStandings(standings);
     }
 
-    declinePlayAgain() {
-        if (!this.socket || this.socket.readyState !== WebSocket.OPEN || !this.roomId) {
-            return;
-        }
-
-        console.log('Declining play again request');
-        this.socket.send(JSON.stringify({
-            type: 'playAgainDeclined',
-            roomId: this.roomId
-        }));
-        
-        this.game.endGame('Declined play again request');
-    }
-
-    determineWinner() {
-        const playerScore = this.game.score;
-        let highestOpponentScore = 0;
-        let winner = 'You';
-        let winningScore = playerScore;
-
-        console.log('Determining winner:');
-        console.log('Your score:', playerScore);
-        console.log('Opponent scores:', Array.from(this.opponentScores.entries()));
-
-        // Find the highest opponent score
-        for (const [playerId, score] of this.opponentScores) {
-            console.log(`Player ${playerId} score:`, score);
-            if (score > highestOpponentScore) {
-                highestOpponentScore = score;
-                winner = `Player ${playerId}`;
-                winningScore = score;
-            }
-        }
+    rankStandings(standings) {
+        standings.sort((a, b) => b.score - a.score || a.playerNumber - b.playerNumber);
+        standings.forEach((entry, index) => {
+            entry.rank = index > 0 && entry.score === standings[index - 1].score ? standings[index - 1].rank : index + 1;
+        });
+        return standings;
+    }
 
-        // Compare with player's score
-        if (playerScore > highestOpponentScore) {
-            return `You Won! (Score: ${playerScore})`;
-        } else if (playerScore === highestOpponentScore) {
-            return `It's a tie! (Score: ${playerScore})`;
-        } else {
-            return `${winner} Won! (Score: ${winningScore})`;
+    getStartLane() {
+        // Spread the players evenly across the lanes in player number order:
+        // with two players, player 1 starts in the leftmost lane and player 2 in the rightmost
+        const laneCount = this.game.settings.game.laneCount;
+        const playerNumbers = [...this.players.values()].map(player => player.playerNumber).sort((a, b) => a - b);
+        const index = playerNumbers.indexOf(this.playerNumber);
+        if (playerNumbers.length < 2 || index === -1) {
+            return Math.floor((laneCount - 1) / 2);
         }
+        return Math.round(index * (laneCount - 1) / (playerNumbers.length - 1));
     }
 
     getInitialPosition() {
         // Return the initial position based on player number
         const characterStartHeight = 1;  // Height above the road
-        const laneWidth = this.game.laneWidth;  // Get lane width from game
-
-        if (this.playerNumber === 1) {
-            // Player 1 starts in left lane
-            return { 
-                x: -laneWidth/2,  // Left lane
-                y: characterStartHeight, 
-                z: 0 
-            };
-        } else {
-            // Player 2 starts in right lane
-            return { 
-                x: laneWidth/2,  // Right lane
-                y: characterStartHeight, 
-                z: 0 
-            };
-        }
+        const { laneCount, roadWidth } = this.game.settings.game;
+
+        return {
+            x: getLaneCenter(this.getStartLane(), laneCount, roadWidth),
+            y: characterStartHeight,
+            z: 0
+        };
     }
 
     updateOpponentAnimations(deltaTime) {
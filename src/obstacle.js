@@ -1,34 +1,64 @@
 import * as THREE from 'three';
+import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { getLaneCenter, getLaneWidth } from './lanes.js';
+import { OBSTACLE_TYPES } from './obstacleTypes.js';
 
 export class Obstacle {
-    constructor(scene, settings) {
+    constructor(scene, settings, options = {}) {
         this.scene = scene;
         this.settings = settings;
+        this.type = OBSTACLE_TYPES[options.type] ? options.type : 'block';
+        this.definition = OBSTACLE_TYPES[this.type];
         
-        // Create obstacle mesh
-        const obstacleWidth = 1;  // Store width for positioning calculations
-        const geometry = new THREE.BoxGeometry(obstacleWidth, 2, 1);
-        const material = new THREE.MeshPhongMaterial({ color: 0xff0000 });
-        this.mesh = new THREE.Mesh(geometry, material);
-        
-        // Set initial position using lane-based positioning
         const roadWidth = this.settings.game.roadWidth; // Total road width
-        const laneWidth = roadWidth / 2; // Width of each lane
-        const lane = Math.floor(Math.random() * 2); // 0 or 1
-        
-        // Calculate lane center positions:
-        // For a road of width 20:
-        // Left lane center should be at -10 (half of total road width from center)
-        // Right lane center should be at +10 (half of total road width from center)
-        console.log('lane', roadWidth);
-        const xPos = lane === 0 ? -laneWidth/2 : laneWidth/2;
+        const laneCount = this.settings.game.laneCount;
+        const laneWidth = getLaneWidth(roadWidth, laneCount);
+        this.size = this.definition.getSize(laneWidth, roadWidth);
+
+        // Lane comes from the seeded spawner so every client places it identically
+        this.lane = options.lane ?? 0; // 0 is the leftmost lane
+        const xPos = this.definition.spansRoad ? 0 : getLaneCenter(this.lane, laneCount, roadWidth);
+        // The simulation position is the center of the declared hitbox, whatever the mesh looks like
+        const y = this.definition.elevation + this.size.y / 2;
+
+        if (this.definition.drift) {
+            // Drift between this lane and its neighbour (the one to the left from the rightmost lane)
+            const otherLane = this.lane < laneCount - 1 ? this.lane + 1 : this.lane - 1;
+            this.driftFromX = xPos;
+            this.driftToX = getLaneCenter(otherLane, laneCount, roadWidth);
+            this.driftPhase = options.phase ?? 0;
+        }
+
+        // Offset from the simulation position to where the mesh is drawn (models are placed by their feet)
+        this.meshOffset = new THREE.Vector3();
+        this.mixer = null;
+
+        // Model-backed types use the cached model once it has loaded, and a plain box until then.
+        // Only the look changes: the hitbox is the type's declared size either way, so collisions
+        // don't depend on when the model finished loading.
+        if (options.model) {
+            this.createModelMesh(options.model);
+            const feetY = this.modelSettings?.height ?? this.definition.elevation;
+            this.meshOffset.set(0, feetY - y, 0);
+        } else {
+            // Create obstacle mesh
+            const geometry = new THREE.BoxGeometry(this.size.x, this.size.y, this.size.z);
+            const material = new THREE.MeshPhongMaterial({ color: this.definition.color });
+            this.mesh = new THREE.Mesh(geometry, material);
+        }
         
-        const y = 1; // Height of obstacle
-        const z = -this.settings.game.spawnDistance; // Use spawn distance from settings
+        const z = options.z ?? -this.settings.game.spawnDistance; // Use spawn distance from settings
         
-        this.mesh.position.set(xPos, y, z);
         this.mesh.castShadow = true;
         this.mesh.receiveShadow = true;
+
+        // Simulation position, the mesh is only moved to it (interpolated) when rendering
+        this.position = new THREE.Vector3(xPos, y, z);
+        if (this.definition.drift) {
+            this.position.x = this.getDriftX();
+        }
+        this.previousPosition = this.position.clone();
+        this.mesh.position.copy(this.position).add(this.meshOffset);
         
         // Add to scene
         this.scene.add(this.mesh);
@@ -37,33 +67,95 @@ export class Obstacle {
         this.createHitbox();
     }
 
+    // Clone the cached model with its own animation mixer
+    createModelMesh(model) {
+        this.isModel = true;
+        this.mesh = SkeletonUtils.clone(model.scene);
+        this.modelSettings = this.definition.model.settings ? this.settings[this.definition.model.settings] : null;
+        this.animationTime = 0;
+
+        this.mesh.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+
+        if (model.animations.length > 0) {
+            this.mixer = new THREE.AnimationMixer(this.mesh);
+            this.mixer.clipAction(model.animations[0]).play();
+        }
+    }
+
+    // Fixed-step update, speed is the distance the world moves this tick
     update(deltaTime, speed) {
         // Move obstacle towards player
-        this.mesh.position.z += speed;
+        this.previousPosition.copy(this.position);
+        this.position.z += speed;
+
+        if (this.definition.drift) {
+            this.position.x = this.getDriftX();
+        }
         
-        // Update hitbox position
+        // Return true if obstacle is past the player (for cleanup)
+        return this.position.z > 5;
+    }
+
+    // Drift follows how far ahead of the player the obstacle is, so it's in the same place
+    // for every player at the same point of the course
+    getDriftX() {
+        const cycle = -this.position.z / this.definition.drift.period + this.driftPhase;
+        const t = 0.5 - 0.5 * Math.cos(cycle * Math.PI * 2);
+        return THREE.MathUtils.lerp(this.driftFromX, this.driftToX, t);
+    }
+
+    // Place mesh and hitbox between the last two simulation ticks (alpha 0..1)
+    interpolate(alpha) {
+        this.mesh.position.lerpVectors(this.previousPosition, this.position, alpha);
         if (this.hitbox) {
             this.hitbox.position.copy(this.mesh.position);
         }
-        
-        // Return true if obstacle is past the player (for cleanup)
-        return this.mesh.position.z > 5;
+        this.mesh.position.add(this.meshOffset);
+    }
+
+    // Per render frame: model animation plus the cosmetic bobbing and sway from the model settings
+    updateAnimation(deltaTime) {
+        if (!this.isModel) return;
+
+        if (this.mixer) {
+            this.mixer.update(deltaTime);
+        }
+
+        if (this.modelSettings) {
+            this.animationTime += deltaTime;
+            const { bobbingSpeed, bobbingAmplitude, rotationSpeed } = this.modelSettings;
+            this.mesh.position.y += Math.sin(this.animationTime * bobbingSpeed * Math.PI * 2) * bobbingAmplitude;
+            this.mesh.rotation.y = Math.sin(this.animationTime * rotationSpeed * Math.PI * 2) * 0.3;
+        }
     }
 
     // Add collision detection methods
     getCollisionBox() {
-        return new THREE.Box3().setFromObject(this.hitbox || this.mesh);
+        // Use the simulation position so collisions don't depend on the render frame rate
+        return new THREE.Box3().setFromCenterAndSize(this.position, this.size);
     }
 
     isBehindCamera() {
-        return this.mesh.position.z > 10;
+        return this.position.z > 10;
     }
 
     dispose() {
+        if (this.mixer) {
+            this.mixer.stopAllAction();
+            this.mixer = null;
+        }
         if (this.mesh) {
             this.scene.remove(this.mesh);
-            this.mesh.geometry.dispose();
-            this.mesh.material.dispose();
+            // Model clones share geometry and materials with the cached model, so leave those alone
+            if (!this.isModel) {
+                this.mesh.geometry.dispose();
+                this.mesh.material.dispose();
+            }
         }
         if (this.hitbox) {
             this.scene.remove(this.hitbox);
@@ -74,14 +166,14 @@ export class Obstacle {
 
     createHitbox() {
         // Create invisible hitbox for collision detection
-        const hitboxGeometry = new THREE.BoxGeometry(1, 2, 1);
+        const hitboxGeometry = new THREE.BoxGeometry(this.size.x, this.size.y, this.size.z);
         const hitboxMaterial = new THREE.MeshBasicMaterial({
             visible: this.settings.debug?.showHitbox || false,
             wireframe: true,
             color: 0xff0000
         });
         this.hitbox = new THREE.Mesh(hitboxGeometry, hitboxMaterial);
-        this.hitbox.position.copy(this.mesh.position);
+        this.hitbox.position.copy(this.position);
         this.scene.add(this.hitbox);
     }
 } 
\ No newline at end of file
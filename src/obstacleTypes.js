@@ -0,0 +1,111 @@
+import * as THREE from 'three';
+
+// The road surface sits at y = 1
+const ROAD_SURFACE = 1;
+
+// Obstacle type registry.
+// Each type defines its look, its hitbox (size plus elevation of the bottom edge) and how you get past it:
+//   avoid     - 'jump', 'duck' or 'lane' (change lanes around it)
+//   spansRoad - covers every lane, the spawned lane is ignored
+//   drift     - moves between neighbouring lanes as the world scrolls
+//   model     - glTF model to show instead of a box. Scaled by the named settings entry, or to a
+//               target height. Only the look: collisions always use the declared size, and the
+//               box color shows until the model has loaded.
+export const OBSTACLE_TYPES = {
+    // The original red box, half sunk into the road
+    block: {
+        avoid: 'lane',
+        color: 0xff0000,
+        elevation: ROAD_SURFACE - 1,
+        getSize: () => new THREE.Vector3(1, 2, 1)
+    },
+    // Low barrier across one lane, jump over it
+    barrier: {
+        avoid: 'jump',
+        color: 0xffdd00,
+        elevation: ROAD_SURFACE,
+        getSize: (laneWidth) => new THREE.Vector3(laneWidth * 0.8, 0.7, 0.5)
+    },
+    // Bar across the whole road at head height. Jumping into it still hits,
+    // only ducking gets under: it starts above a ducking player and below a standing one.
+    overhead: {
+        avoid: 'duck',
+        color: 0xffaa00,
+        elevation: ROAD_SURFACE + 1.4,
+        spansRoad: true,
+        getSize: (laneWidth, roadWidth) => new THREE.Vector3(roadWidth, 0.6, 1)
+    },
+    // Fills a lane and is too tall to jump, change lanes around it
+    wall: {
+        avoid: 'lane',
+        color: 0x5566aa,
+        elevation: ROAD_SURFACE - 1,
+        getSize: (laneWidth) => new THREE.Vector3(laneWidth * 0.9, 5, 1)
+    },
+    // Drifts back and forth into the next lane as it approaches
+    mover: {
+        avoid: 'lane',
+        color: 0xaa33ff,
+        elevation: ROAD_SURFACE - 1,
+        getSize: () => new THREE.Vector3(1.5, 2, 1),
+        drift: {
+            period: 40 // World units of approach for a full back-and-forth
+        }
+    },
+    // Animated zombie standing in a lane, uses settings.zombie for scale, height, bobbing and sway
+    zombie: {
+        avoid: 'lane',
+        color: 0x557755,
+        elevation: ROAD_SURFACE,
+        getSize: () => new THREE.Vector3(1, 2, 1),
+        model: {
+            path: 'models/zombie/scene.gltf',
+            settings: 'zombie'
+        }
+    },
+    // Police officer standing in a lane
+    police: {
+        avoid: 'lane',
+        color: 0x223388,
+        elevation: ROAD_SURFACE,
+        getSize: () => new THREE.Vector3(1, 2.2, 0.8),
+        model: {
+            path: 'models/ferdinand__police.glb',
+            height: 2.2
+        }
+    }
+};
+
+// Weighted spawn tables. The last table whose fromDistance has been reached is used,
+// distance is scaled by the difficulty setting so harder games reach the later tables sooner.
+export const SPAWN_TABLES = [
+    { fromDistance: 0, weights: { block: 6, barrier: 3, overhead: 1 } },
+    { fromDistance: 300, weights: { block: 3, barrier: 3, overhead: 2, wall: 2, zombie: 2 } },
+    { fromDistance: 800, weights: { block: 2, barrier: 3, overhead: 2, wall: 2, mover: 2, zombie: 2, police: 1 } },
+    { fromDistance: 1500, weights: { block: 1, barrier: 3, overhead: 3, wall: 3, mover: 3, zombie: 2, police: 2 } }
+];
+
+export function getSpawnTable(distance, difficulty = 1) {
+    const scaledDistance = distance * difficulty;
+    let table = SPAWN_TABLES[0];
+    for (const candidate of SPAWN_TABLES) {
+        if (scaledDistance >= candidate.fromDistance) {
+            table = candidate;
+        }
+    }
+    return table;
+}
+
+// Pick a key from { key: weight } using a random float in [0, 1)
+export function pickWeighted(weights, roll) {
+    const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let threshold = roll * total;
+    for (const [key, weight] of entries) {
+        threshold -= weight;
+        if (threshold < 0) {
+            return key;
+        }
+    }
+    return entries[entries.length - 1][0];
+}
@@ -0,0 +1,253 @@
+// Guided pose calibration.
+// The player first stands still so we can average a baseline, then does one jump, one duck and a lean
+// each way. How far they actually moved in each gesture sets their personal MOVEMENT_CONFIG
+// thresholds, so a small child and a tall adult both trigger moves without exaggerating them.
+
+// MoveNet keypoint indices
+const KEYPOINTS = {
+    nose: 0,
+    leftShoulder: 5,
+    rightShoulder: 6,
+    leftHip: 11,
+    rightHip: 12
+};
+const MIN_KEYPOINT_SCORE = 0.3;
+
+// MOVEMENT_CONFIG before any calibration, as fractions of the frame
+export const DEFAULT_THRESHOLDS = {
+    lateral_threshold: 0.1,    // Threshold for left/right movement
+    jump_threshold: 0.15,      // Threshold for jump detection
+    duck_threshold: 0.2,       // Threshold for duck detection
+    walk_threshold: 0.05       // How much higher one leg has to be than the other to count a step
+};
+
+// Slider ranges for each threshold, derived values are clamped to them too
+export const THRESHOLD_LIMITS = {
+    lateral_threshold: { min: 0.001, max: 0.1 },
+    jump_threshold: { min: 0.02, max: 0.5 },
+    duck_threshold: { min: 0.02, max: 0.5 },
+    walk_threshold: { min: 0.001, max: 0.1 }
+};
+
+const READY_TIME = 1500;      // Milliseconds to get ready before each gesture is recorded
+const GESTURE_TIME = 2500;    // Milliseconds each gesture is recorded for
+const GESTURE_FRACTION = 0.5; // A move counts once it gets this far towards the calibrated gesture
+const NOISE_MARGIN = 4;       // ...and never closer to the baseline than this many standard deviations of standing still
+const MIN_GESTURE = 0.02;     // Gestures smaller than this fraction of the frame are treated as missed
+const MAX_ATTEMPTS = 3;       // Missed gestures are retried, then skipped keeping the current threshold
+
+// measure turns body points into how far the gesture has gone from the baseline, in pixels
+const GESTURES = {
+    jump: {
+        prompt: 'Jump!',
+        measure: (points, baseline) => baseline.head.y - points.head.y
+    },
+    duck: {
+        prompt: 'Duck!',
+        measure: (points, baseline) => points.hips.y - baseline.hips.y
+    },
+    // The camera image isn't mirrored, so leaning to your left moves you right in the frame
+    leanLeft: {
+        prompt: 'Lean left',
+        measure: (points, baseline) => points.shoulders.x - baseline.shoulders.x
+    },
+    leanRight: {
+        prompt: 'Lean right',
+        measure: (points, baseline) => baseline.shoulders.x - points.shoulders.x
+    }
+};
+
+// The points the movement checks use: shoulder centre, hip height and head height.
+// Null unless all of the keypoints behind them are confidently detected.
+export function getBodyPoints(pose) {
+    const keypoints = Object.fromEntries(Object.entries(KEYPOINTS).map(([name, index]) => [name, pose.keypoints[index]]));
+    if (Object.values(keypoints).some(point => !point || point.score < MIN_KEYPOINT_SCORE)) {
+        return null;
+    }
+    return {
+        shoulders: {
+            x: (keypoints.leftShoulder.x + keypoints.rightShoulder.x) / 2,
+            y: (keypoints.leftShoulder.y + keypoints.rightShoulder.y) / 2
+        },
+        hips: {
+            y: (keypoints.leftHip.y + keypoints.rightHip.y) / 2
+        },
+        head: {
+            y: keypoints.nose.y
+        }
+    };
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Mean and standard deviation after dropping values more than 3 scaled median absolute
+// deviations from the median: a frame where the detector jumped to a wrong limb doesn't skew them
+export function robustStats(values) {
+    const center = median(values);
+    const spread = median(values.map(value => Math.abs(value - center))) * 1.4826;
+    const kept = values.filter(value => Math.abs(value - center) <= 3 * spread);
+    const mean = kept.reduce((sum, value) => sum + value, 0) / kept.length;
+    const variance = kept.reduce((sum, value) => sum + (value - mean) ** 2, 0) / kept.length;
+    return { mean, deviation: Math.sqrt(variance) };
+}
+
+function clampThreshold(key, value) {
+    const { min, max } = THRESHOLD_LIMITS[key];
+    return Math.min(Math.max(value, min), max);
+}
+
+// Steps through standing still and each gesture as pose frames come in. Feed it every detected
+// pose with addFrame (null when no one was detected) until done, then read result.
+export class PoseCalibration {
+    constructor({ standFrames = 30 } = {}) {
+        this.standFrames = standFrames;
+        this.steps = ['stand', ...Object.keys(GESTURES)];
+        this.stepIndex = 0;
+        this.standSamples = [];
+        this.baseline = null;
+        this.noise = null;        // Standard deviation of each baseline point while standing still
+        this.peaks = {};          // gesture -> largest movement seen, in pixels
+        this.stepStartedAt = null;
+        this.attempts = 0;
+        this.missed = false;      // The last attempt at this gesture was too small to use
+        this.videoWidth = 0;
+        this.videoHeight = 0;
+        this.done = false;
+        this.result = null;
+    }
+
+    get step() {
+        return this.steps[this.stepIndex];
+    }
+
+    addFrame(pose, videoWidth, videoHeight, now = performance.now()) {
+        if (this.done) return;
+        this.videoWidth = videoWidth;
+        this.videoHeight = videoHeight;
+        const points = pose ? getBodyPoints(pose) : null;
+
+        if (this.step === 'stand') {
+            if (points) {
+                this.standSamples.push(points);
+            }
+            if (this.standSamples.length >= this.standFrames) {
+                this.finishStanding();
+            }
+            return;
+        }
+
+        if (this.stepStartedAt === null) {
+            this.stepStartedAt = now;
+        }
+        const elapsed = now - this.stepStartedAt;
+        if (elapsed < READY_TIME) return;
+
+        if (points) {
+            const movement = GESTURES[this.step].measure(points, this.baseline);
+            this.peaks[this.step] = Math.max(this.peaks[this.step] ?? 0, movement);
+        }
+        if (elapsed >= READY_TIME + GESTURE_TIME) {
+            this.finishGesture();
+        }
+    }
+
+    finishStanding() {
+        const stats = {
+            shouldersX: robustStats(this.standSamples.map(points => points.shoulders.x)),
+            shouldersY: robustStats(this.standSamples.map(points => points.shoulders.y)),
+            hipsY: robustStats(this.standSamples.map(points => points.hips.y)),
+            headY: robustStats(this.standSamples.map(points => points.head.y))
+        };
+        this.baseline = {
+            shoulders: { x: stats.shouldersX.mean, y: stats.shouldersY.mean },
+            hips: { y: stats.hipsY.mean },
+            head: { y: stats.headY.mean }
+        };
+        this.noise = {
+            lateral: stats.shouldersX.deviation,
+            jump: stats.headY.deviation,
+            duck: stats.hipsY.deviation
+        };
+        this.nextStep();
+    }
+
+    finishGesture() {
+        const dimension = this.step.startsWith('lean') ? this.videoWidth : this.videoHeight;
+        const peak = this.peaks[this.step] ?? 0;
+        this.attempts++;
+        this.missed = peak < MIN_GESTURE * dimension;
+        if (this.missed) {
+            delete this.peaks[this.step];
+            if (this.attempts < MAX_ATTEMPTS) {
+                this.stepStartedAt = null; // Again from the get ready
+                return;
+            }
+        }
+        this.nextStep();
+    }
+
+    nextStep() {
+        this.stepIndex++;
+        this.stepStartedAt = null;
+        this.attempts = 0;
+        this.missed = false;
+        if (this.stepIndex >= this.steps.length) {
+            this.done = true;
+            this.result = { baseline: this.baseline, thresholds: this.deriveThresholds() };
+        }
+    }
+
+    // Thresholds for the gestures that were recorded, skipped ones are left out
+    deriveThresholds() {
+        const threshold = (peak, noise, dimension) =>
+            Math.max(peak * GESTURE_FRACTION, noise * NOISE_MARGIN) / dimension;
+        const thresholds = {};
+
+        if (this.peaks.jump !== undefined) {
+            thresholds.jump_threshold = clampThreshold('jump_threshold', threshold(this.peaks.jump, this.noise.jump, this.videoHeight));
+        }
+        if (this.peaks.duck !== undefined) {
+            thresholds.duck_threshold = clampThreshold('duck_threshold', threshold(this.peaks.duck, this.noise.duck, this.videoHeight));
+        }
+        // One threshold for both directions, set by the smaller lean so both sides register
+        const leans = [this.peaks.leanLeft, this.peaks.leanRight].filter(peak => peak !== undefined);
+        if (leans.length > 0) {
+            thresholds.lateral_threshold = clampThreshold('lateral_threshold', threshold(Math.min(...leans), this.noise.lateral, this.videoWidth));
+        }
+        return thresholds;
+    }
+
+    // What to show for the current step: prompt, progress through it (0-1), and the get ready
+    // countdown in seconds (0 while recording)
+    getProgress(now = performance.now()) {
+        const stepNumber = Math.min(this.stepIndex + 1, this.steps.length);
+        const base = { stepNumber, stepCount: this.steps.length };
+        if (this.done) {
+            return { ...base, prompt: 'Calibration complete', progress: 1, countdown: 0 };
+        }
+        if (this.step === 'stand') {
+            return {
+                ...base,
+                prompt: this.standSamples.length === 0 ? 'Stand still, facing the camera' : 'Stand still...',
+                progress: this.standSamples.length / this.standFrames,
+                countdown: 0
+            };
+        }
+
+        const elapsed = this.stepStartedAt === null ? 0 : now - this.stepStartedAt;
+        const prompt = GESTURES[this.step].prompt;
+        if (elapsed < READY_TIME) {
+            return {
+                ...base,
+                prompt: this.missed ? `Didn't catch that - ${prompt}` : `Get ready: ${prompt}`,
+                progress: 0,
+                countdown: Math.ceil((READY_TIME - elapsed) / 1000)
+            };
+        }
+        return { ...base, prompt, progress: Math.min((elapsed - READY_TIME) / GESTURE_TIME, 1), countdown: 0 };
+    }
+}
@@ -0,0 +1,199 @@
+// Gesture classification from a stream of poses.
+// Rather than comparing a single frame with the baseline, each gesture is judged over a short window
+// of recent frames: it has to be a movement (the body covered a good part of the threshold inside the
+// window, which slow drift never does), it stays on until the body comes most of the way back
+// (hysteresis, so a held lean keeps registering and a jittery one doesn't flicker), and it can't
+// restart straight after ending (debounce). Starts and ends come out as discrete events, how far the
+// player is leaning or crouching and their running cadence as continuous state.
+// Pure: no DOM, no detector. Feed it poses with their timestamps and read what it returns.
+import { getBodyPoints } from './poseCalibration.js';
+
+const WINDOW = 400;          // Milliseconds of history a movement has to happen within
+const ONSET_FRACTION = 0.5;  // Starting a gesture needs this fraction of its threshold covered within the window
+const RELEASE_FRACTION = 0.6; // A gesture ends once it falls back below this fraction of its threshold
+const DRIFT_TIME = 3000;     // While idle the neutral position follows slow drift with this time constant
+const RECENTER_TIME = 5000;  // A gesture held this long without moving becomes the new neutral position
+
+// axis: which offset from the baseline the gesture moves, sign: which way along it.
+// The camera image isn't mirrored, so leaning to your left moves you right in the frame.
+const GESTURES = {
+    left: { axis: 'lateral', sign: 1, threshold: 'lateral_threshold', start: 'laneLeft', end: null, debounce: 300 },
+    right: { axis: 'lateral', sign: -1, threshold: 'lateral_threshold', start: 'laneRight', end: null, debounce: 300 },
+    jump: { axis: 'rise', sign: 1, threshold: 'jump_threshold', start: 'jumpStart', end: 'jumpEnd', debounce: 400 },
+    duck: { axis: 'drop', sign: 1, threshold: 'duck_threshold', start: 'duckStart', end: 'duckEnd', debounce: 400 }
+};
+const AXES = ['lateral', 'rise', 'drop'];
+
+// Running in place: a step is the legs swapping which one is higher. Knees and ankles both swing,
+// whichever pairs are detected confidently are averaged.
+const LEG_PAIRS = [[13, 14], [15, 16]]; // MoveNet left/right knee, left/right ankle
+const MIN_LEG_SCORE = 0.3;
+const MIN_STEP_INTERVAL = 150; // Milliseconds, faster swaps are detector jitter (that would be 400 steps per minute)
+const CADENCE_STEPS = 6;       // Cadence is averaged over this many of the latest steps
+const STEP_TIMEOUT = 1500;     // Milliseconds without a step before the player counts as stopped
+
+export class PoseClassifier {
+    // thresholds is read on every update, so passing MOVEMENT_CONFIG keeps the sliders live
+    constructor(baseline = null, thresholds = null) {
+        this.baseline = baseline;
+        this.thresholds = thresholds;
+        this.reset();
+    }
+
+    setCalibration(baseline, thresholds) {
+        this.baseline = baseline;
+        this.thresholds = thresholds;
+        this.reset();
+    }
+
+    reset() {
+        this.history = [];  // { time, lateral, rise, drop } within the last WINDOW milliseconds
+        this.neutral = { lateral: 0, rise: 0, drop: 0 }; // Where standing still currently is, relative to the baseline
+        this.lastTime = null;
+        this.gestures = Object.fromEntries(Object.keys(GESTURES).map(name => [name, { active: false, since: 0, endedAt: -Infinity }]));
+        this.lastSample = null;
+        this.legSide = 0;   // 1 left leg up, -1 right leg up, 0 not known yet
+        this.steps = [];    // Times of the latest steps
+    }
+
+    // Offsets from the calibrated baseline as fractions of the frame, positive in the direction
+    // of the lean left, jump and duck gestures
+    measure(points, width, height, time) {
+        return {
+            time,
+            lateral: (points.shoulders.x - this.baseline.shoulders.x) / width,
+            rise: (this.baseline.head.y - points.head.y) / height,
+            drop: (points.hips.y - this.baseline.hips.y) / height
+        };
+    }
+
+    // How much higher the left leg is than the right as a fraction of the frame, null without legs
+    measureLegs(pose, height) {
+        const swings = LEG_PAIRS
+            .map(([left, right]) => [pose.keypoints[left], pose.keypoints[right]])
+            .filter(([left, right]) => left && right && left.score >= MIN_LEG_SCORE && right.score >= MIN_LEG_SCORE)
+            .map(([left, right]) => (right.y - left.y) / height);
+        return swings.length > 0 ? swings.reduce((sum, swing) => sum + swing, 0) / swings.length : null;
+    }
+
+    // One leg has to get walk_threshold above the other for it to count as up, so the swap back
+    // past the middle is a step only once the other leg is clearly up (a wide hysteresis band)
+    updateSteps(pose, height, time) {
+        const swing = this.measureLegs(pose, height);
+        if (swing === null) return;
+        const threshold = this.thresholds.walk_threshold;
+        const side = swing > threshold ? 1 : swing < -threshold ? -1 : 0;
+        if (side === 0 || side === this.legSide) return;
+
+        const lastStep = this.steps[this.steps.length - 1];
+        if (lastStep !== undefined && time - lastStep < MIN_STEP_INTERVAL) return;
+        if (this.legSide !== 0) {
+            this.steps.push(time);
+            if (this.steps.length > CADENCE_STEPS) {
+                this.steps.shift();
+            }
+        }
+        this.legSide = side;
+    }
+
+    // Steps per minute over the latest steps. Once the next step is overdue the time waited so far
+    // counts as the interval, so the cadence eases down when the player slows rather than holding
+    // until they've stopped for good.
+    getCadence(time) {
+        const count = this.steps.length;
+        if (count < 2 || time - this.steps[count - 1] > STEP_TIMEOUT) {
+            return 0;
+        }
+        const averageInterval = (this.steps[count - 1] - this.steps[0]) / (count - 1);
+        return 60000 / Math.max(averageInterval, time - this.steps[count - 1]);
+    }
+
+    // How far an axis moved over the window, in the gesture's direction
+    getChange(axis, sign) {
+        const first = this.history[0];
+        const last = this.history[this.history.length - 1];
+        return (last[axis] - first[axis]) * sign;
+    }
+
+    // Takes the next detected pose (null when no one was detected) with the video size its keypoints
+    // refer to and when it was detected, in milliseconds. Returns { events: ['laneLeft', ...],
+    // state: { tracking, leaning, lean, airborne, ducking, crouch, cadence } }.
+    update(pose, { width, height }, time) {
+        const events = [];
+        const points = pose && this.baseline && this.thresholds && width > 0 && height > 0 ? getBodyPoints(pose) : null;
+        if (!points) {
+            return { events, state: this.getState(false) };
+        }
+
+        const sample = this.measure(points, width, height, time);
+        this.history.push(sample);
+        while (this.history[0].time < time - WINDOW) {
+            this.history.shift();
+        }
+        const elapsed = this.lastTime === null ? 0 : time - this.lastTime;
+        this.lastTime = time;
+        this.lastSample = sample;
+        this.updateSteps(pose, height, time);
+
+        for (const [name, gesture] of Object.entries(GESTURES)) {
+            const state = this.gestures[name];
+            const threshold = this.thresholds[gesture.threshold];
+            const offset = (sample[gesture.axis] - this.neutral[gesture.axis]) * gesture.sign;
+            const moving = this.getChange(gesture.axis, gesture.sign) > threshold * ONSET_FRACTION;
+
+            if (state.active) {
+                const still = Math.abs(this.getChange(gesture.axis, 1)) < threshold * ONSET_FRACTION * 0.5;
+                if (time - state.since > RECENTER_TIME && still) {
+                    // Not a gesture any more, the player has moved: stand still here from now on
+                    this.neutral[gesture.axis] = sample[gesture.axis];
+                    this.end(name, events, time);
+                } else if (offset < threshold * RELEASE_FRACTION) {
+                    this.end(name, events, time);
+                }
+            } else if (offset > threshold && moving && time - state.endedAt > gesture.debounce) {
+                state.active = true;
+                state.since = time;
+                events.push(gesture.start);
+            }
+        }
+
+        // Follow slow drift on the axes nothing is happening on
+        const follow = Math.min(elapsed / DRIFT_TIME, 1);
+        AXES.forEach(axis => {
+            const busy = Object.entries(GESTURES).some(([name, gesture]) => gesture.axis === axis && this.gestures[name].active);
+            if (!busy) {
+                this.neutral[axis] += (sample[axis] - this.neutral[axis]) * follow;
+            }
+        });
+
+        return { events, state: this.getState(true) };
+    }
+
+    end(name, events, time) {
+        const state = this.gestures[name];
+        state.active = false;
+        state.endedAt = time;
+        if (GESTURES[name].end) {
+            events.push(GESTURES[name].end);
+        }
+    }
+
+    // Continuous state: lean is -1 (fully right) to 1 (fully left) with 1 reached at twice the
+    // threshold, crouch 0 to 1 the same way. Both are from the last pose seen. cadence is in steps
+    // per minute, 0 when not running.
+    getState(tracking) {
+        const amount = (axis, threshold) => this.lastSample
+            ? (this.lastSample[axis] - this.neutral[axis]) / (2 * this.thresholds[threshold])
+            : 0;
+        const clamp = (value, min) => Math.min(Math.max(value, min), 1);
+        return {
+            tracking,
+            leaning: this.gestures.left.active ? 'left' : this.gestures.right.active ? 'right' : null,
+            lean: clamp(amount('lateral', 'lateral_threshold'), -1),
+            airborne: this.gestures.jump.active,
+            ducking: this.gestures.duck.active,
+            crouch: clamp(amount('drop', 'duck_threshold'), 0),
+            cadence: this.lastTime === null ? 0 : this.getCadence(this.lastTime)
+        };
+    }
+}
@@ -1,13 +1,19 @@
 import * as poseDetection from '@tensorflow-models/pose-detection';
 import * as tf from '@tensorflow/tfjs';
 import '@tensorflow/tfjs-backend-webgl';
+import { DEFAULT_THRESHOLDS, PoseCalibration, THRESHOLD_LIMITS } from './poseCalibration.js';
+import { PoseRecorder, RecordedPoseSource, parseRecording } from './poseRecording.js';
+import { PoseClassifier } from './poseClassifier.js';
 
 export class PoseController {
-    constructor(onControlsUpdate, gui = null) {
+    // onCalibrationChange is called with getCalibration() after the calibration wizard finishes
+    // or a threshold slider is moved, so it can be saved
+    constructor(onControlsUpdate, gui = null, { onCalibrationChange = null } = {}) {
         this.detector = null;
         this.videoElement = null;
-        this.baselinePositions = null;
+        this.calibratedBaseline = null;
         this.isCalibrated = false;
+        this.onCalibrationChange = onCalibrationChange;
         this.isActive = false;
         this.detectionInterval = null;
         this.onControlsUpdate = onControlsUpdate;
@@ -16,22 +22,26 @@ export class PoseController {
         this.canvas = null;
         this.ctx = null;
         this.baselineKeypoints = null;
-        this.lastUpdateTime = 0;
         this.movementThreshold = 50;
         this.gui = gui;
-        
-        // Add walking state management
-        this.isWalking = false;
-        this.lastWalkingTime = 0;
-        this.walkingStopDelay = 2000; // 2 seconds delay before stopping
+        this.thresholdControllers = [];
+
+        // Guided calibration in progress, fed by the detection loop until it's done
+        this.calibration = null;
+        this.calibrationPromise = null;
+        this.resolveCalibration = null;
+
+        // Recording the detector output, and replaying a recording in place of the camera
+        this.recorder = null;
+        this.replay = null;
+        this.calibrationBeforeReplay = null; // Put back when the replay ends
+        this.restartCameraAfterReplay = false;
 
         // Movement configuration with default thresholds
-        this.MOVEMENT_CONFIG = {
-            lateral_threshold: 0.1,    // Threshold for left/right movement
-            jump_threshold: 0.15,      // Threshold for jump detection
-            duck_threshold: 0.2,       // Threshold for duck detection
-            walk_threshold: 0.05        // Threshold for walk detection
-        };
+        this.MOVEMENT_CONFIG = { ...DEFAULT_THRESHOLDS };
+
+        // Turns the pose stream into gestures, reads the thresholds straight from MOVEMENT_CONFIG
+        this.classifier = new PoseClassifier(null, this.MOVEMENT_CONFIG);
 
         this.setupControls();
     }
@@ -154,70 +164,153 @@ export class PoseController {
         // Add new Movement Thresholds folder
         const thresholdsFolder = controlsFolder.addFolder('Movement Thresholds');
         
-        // Add threshold controls
-        thresholdsFolder.add(this.MOVEMENT_CONFIG, 'lateral_threshold', 0.001, 0.1)
-            .name('Left/Right Threshold')
-            .onChange(() => {
-                if (this.isCalibrated) {
-                    this.calibrate();
-                }
-            });
+        // Add threshold controls. They're read on every frame, so changes apply straight away.
+        // Calibration sets them too and updates the sliders to match.
+        const names = {
+            lateral_threshold: 'Left/Right Threshold',
+            jump_threshold: 'Jump Threshold',
+            duck_threshold: 'Duck Threshold',
+            walk_threshold: 'Step Threshold'
+        };
+        this.thresholdControllers = Object.entries(names).map(([key, name]) => {
+            const { min, max } = THRESHOLD_LIMITS[key];
+            return thresholdsFolder.add(this.MOVEMENT_CONFIG, key, min, max)
+                .name(name)
+                .onFinishChange(() => this.notifyCalibrationChange());
+        });
 
-        thresholdsFolder.add(this.MOVEMENT_CONFIG, 'jump_threshold', 0.1, 0.5)
-            .name('Jump Threshold')
-            .onChange(() => {
-                if (this.isCalibrated) {
-                    this.calibrate();
-                }
-            });
+        // Open the folder by default
+        thresholdsFolder.open();
 
-        thresholdsFolder.add(this.MOVEMENT_CONFIG, 'duck_threshold', 0.1, 0.5)
-            .name('Duck Threshold')
-            .onChange(() => {
-                if (this.isCalibrated) {
-                    this.calibrate();
-                }
-            });
+        // Record what the detector sees to a file, or play a file back instead of the camera
+        const recordingFolder = controlsFolder.addFolder('Pose Recording');
+        recordingFolder.add({ record: () => this.startRecording() }, 'record').name('Start Recording');
+        recordingFolder.add({ save: () => this.saveRecording() }, 'save').name('Stop & Save Recording');
+        recordingFolder.add({ replay: () => this.chooseReplayFile() }, 'replay').name('Replay Recording...');
+    }
 
-        thresholdsFolder.add(this.MOVEMENT_CONFIG, 'walk_threshold', 0.001, 0.1)
-            .name('Walk Threshold')
-            .onChange(() => {
-                if (this.isCalibrated) {
-                    this.calibrate();
-                }
-            });
+    // Width and height the keypoints are measured in: the camera's, or the recording's while replaying
+    getVideoSize() {
+        if (this.replay) {
+            return { width: this.replay.videoWidth, height: this.replay.videoHeight };
+        }
+        return { width: this.videoElement?.videoWidth ?? 0, height: this.videoElement?.videoHeight ?? 0 };
+    }
 
-        // Open the folder by default
-        thresholdsFolder.open();
+    startRecording() {
+        const { width, height } = this.getVideoSize();
+        if (!this.isActive || this.replay || width === 0) {
+            alert('Turn on pose controls to record');
+            return;
+        }
+        this.recorder = new PoseRecorder(width, height);
+        // Lets the replay start from this calibration, or calibrate from the recording if there's none yet
+        this.recorder.calibration = this.isCalibrated ? this.getCalibration() : { baseline: null, thresholds: { ...this.MOVEMENT_CONFIG } };
+        console.log('Pose recording started');
     }
 
-    async detectPose() {
-        try {
-            if (!this.videoElement) {
-                console.error('Video element not initialized');
-                return null;
-            }
-            
-            if (this.videoElement.videoWidth === 0 || this.videoElement.videoHeight === 0) {
-                console.error('Video dimensions not ready:', JSON.stringify({
-                    width: this.videoElement.videoWidth,
-                    height: this.videoElement.videoHeight
-                }));
-                return null;
-            }
-            
-            if (this.videoElement.paused || this.videoElement.ended) {
-                console.error('Video not playing:', {
-                    paused: this.videoElement.paused,
-                    ended: this.videoElement.ended,
-                    readyState: this.videoElement.readyState
-                });
-                return null;
+    // Stops recording and downloads the recording as JSON
+    saveRecording() {
+        if (!this.recorder) return;
+        const recording = { ...this.recorder.toJSON(), calibration: this.recorder.calibration };
+        this.recorder = null;
+
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `pose-recording-${recording.recordedAt.replace(/[:.]/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        console.log(`Pose recording saved, ${recording.frames.length} frames`);
+    }
+
+    chooseReplayFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.onchange = async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                this.startReplay(parseRecording(await file.text()));
+            } catch (error) {
+                console.error('Failed to load pose recording:', error);
+                alert('That file is not a valid pose recording');
             }
+        };
+        input.click();
+    }
+
+    // Runs the controller on a recording instead of the camera, to watch it drive the game. Movements
+    // go to onControlsUpdate as they would live. A recording made before calibrating runs the
+    // calibration from its own frames. replayRecording does the same without any of the UI.
+    startReplay(recording) {
+        if (!this.videoContainer) {
+            console.warn('Pose controller not initialized');
+            return;
+        }
+        // Replaying over a replay keeps whether the camera was on before the first one
+        const restartCamera = (this.isActive && !this.replay) || this.restartCameraAfterReplay;
+        this.stop();
+        this.calibrationBeforeReplay = { ...this.getCalibration(), isCalibrated: this.isCalibrated };
+        this.restartCameraAfterReplay = restartCamera;
+
+        this.replay = new RecordedPoseSource(recording);
+        const calibration = recording.calibration ?? { baseline: null, thresholds: null };
+        this.applyCalibration(calibration);
+        this.isCalibrated = Boolean(calibration.baseline);
+
+        this.videoContainer.style.display = 'block';
+        this.movementLabel.style.display = 'block';
+        this.isActive = true;
+        this.startDetectionLoop();
+        console.log(`Replaying pose recording, ${recording.frames.length} frames`);
+    }
+
+    // Back to the calibration from before the replay. The camera is started again with start().
+    endReplay() {
+        if (!this.replay) return;
+        this.replay = null;
+        this.restartCameraAfterReplay = false;
+        const previous = this.calibrationBeforeReplay;
+        this.calibrationBeforeReplay = null;
+        this.applyCalibration(previous);
+        this.isCalibrated = previous.isCalibrated;
+        if (!previous.baseline) {
+            this.calibratedBaseline = null;
+            this.classifier.setCalibration(null, this.MOVEMENT_CONFIG);
+        }
+        console.log('Pose replay finished');
+    }
 
+    // The frames to handle this tick, each { poses, time }: a fresh detection from the camera, or
+    // the recorded frames that have come due while replaying
+    async readFrames() {
+        if (this.replay) {
+            return this.replay.takeFrames();
+        }
+        if (!this.checkVideoReady()) {
+            return [];
+        }
+        try {
             const poses = await this.detector.estimatePoses(this.videoElement, {
                 flipHorizontal: false
             });
+            return [{ poses, time: performance.now() }];
+        } catch (error) {
+            console.error('Error detecting pose:', error);
+            return [];
+        }
+    }
+
+    // Records the detector output and shows what was detected. Returns the pose, null when there's
+    // no one usable in frame.
+    detectPose(poses, time) {
+        try {
+            if (this.recorder) {
+                this.recorder.add(poses, time);
+            }
             
             if (poses.length === 0) {
                 this.movementLabel.textContent = 'No person detected - Please stand in frame';
@@ -257,6 +350,31 @@ export class PoseController {
         }
     }
 
+    checkVideoReady() {
+        if (!this.videoElement) {
+            console.error('Video element not initialized');
+            return false;
+        }
+
+        if (this.videoElement.videoWidth === 0 || this.videoElement.videoHeight === 0) {
+            console.error('Video dimensions not ready:', JSON.stringify({
+                width: this.videoElement.videoWidth,
+                height: this.videoElement.videoHeight
+            }));
+            return false;
+        }
+
+        if (this.videoElement.paused || this.videoElement.ended) {
+            console.error('Video not playing:', {
+                paused: this.videoElement.paused,
+                ended: this.videoElement.ended,
+                readyState: this.videoElement.readyState
+            });
+            return false;
+        }
+        return true;
+    }
+
     drawBoundingBox(pose) {
         if (!this.canvas || !this.ctx || !this.videoElement) {
             console.error('Missing required elements for drawing');
@@ -299,12 +417,13 @@ export class PoseController {
             const padding = 20;
             minX = Math.max(0, minX - padding);
             minY = Math.max(0, minY - padding);
-            maxX = Math.min(this.videoElement.videoWidth, maxX + padding);
-            maxY = Math.min(this.videoElement.videoHeight, maxY + padding);
+            const { width: videoWidth, height: videoHeight } = this.getVideoSize();
+            maxX = Math.min(videoWidth, maxX + padding);
+            maxY = Math.min(videoHeight, maxY + padding);
 
             // Calculate scaling factors
-            const scaleX = this.canvas.width / this.videoElement.videoWidth;
-            const scaleY = this.canvas.height / this.videoElement.videoHeight;
+            const scaleX = this.canvas.width / videoWidth;
+            const scaleY = this.canvas.height / videoHeight;
 
             // Draw bounding box with color based on visibility
             this.ctx.strokeStyle = visibilityRatio > 0.5 ? '#00ff00' : '#ffa500';
@@ -334,168 +453,173 @@ export class PoseController {
         }
     }
 
-    detectWalking(pose) {
-        // Use knee positions for walking detection
-        const leftKnee = pose.keypoints[13];
-        const rightKnee = pose.keypoints[14];
-        
-        // Check if both knees are detected with good confidence
-        if (leftKnee.score > 0.3 && rightKnee.score > 0.3 && this.videoElement) {
-            // Use actual video dimensions
-            const videoWidth = this.videoElement.videoWidth;
-            const videoHeight = this.videoElement.videoHeight;
-
-            if (videoWidth === 0 || videoHeight === 0) {
-                return false;
-            }
-
-            // Calculate vertical distance between knees
-            const kneeDistance = Math.abs(leftKnee.y - rightKnee.y);
-            
-            // Calculate horizontal movement of knees
-            const kneeHorizontalDiff = Math.abs(leftKnee.x - rightKnee.x);
-            
-            // Walking is detected when knees have significant vertical separation
-            // and are also somewhat separated horizontally
-            const verticalThreshold = this.MOVEMENT_CONFIG.walk_threshold * videoHeight;
-            const horizontalThreshold = this.MOVEMENT_CONFIG.walk_threshold * videoWidth * 0.5;
-            
-            const currentWalkingState = kneeDistance > verticalThreshold && kneeHorizontalDiff > horizontalThreshold;
-            
-            // Update walking state management
-            const currentTime = Date.now();
-            if (currentWalkingState) {
-                this.isWalking = true;
-                this.lastWalkingTime = currentTime;
-            } else if (this.isWalking && (currentTime - this.lastWalkingTime > this.walkingStopDelay)) {
-                this.isWalking = false;
-            }
-            
-            return this.isWalking;
-        }
-        return false;
-    }
-
-    async detectMovement() {
-        if (!this.isCalibrated || !this.videoElement) return null;
+    detectMovement(pose, time) {
+        if (!this.isCalibrated) return null;
 
         // Check if video dimensions are valid
-        if (this.videoElement.videoWidth === 0 || this.videoElement.videoHeight === 0) {
+        const { width: videoWidth, height: videoHeight } = this.getVideoSize();
+        if (videoWidth === 0 || videoHeight === 0) {
             console.warn('Video dimensions not yet available');
             return null;
         }
 
-        const pose = await this.detectPose();
         if (!pose) return null;
 
-        // Calculate current positions
-        const leftShoulder = pose.keypoints[5];
-        const rightShoulder = pose.keypoints[6];
-        const leftHip = pose.keypoints[11];
-        const rightHip = pose.keypoints[12];
-        const nose = pose.keypoints[0];
-
-        // Ensure all required keypoints have good confidence
-        if (leftShoulder.score < 0.3 || rightShoulder.score < 0.3 || 
-            leftHip.score < 0.3 || rightHip.score < 0.3 || nose.score < 0.3) {
-            return null;
-        }
-
-        const currentShoulders = {
-            x: (leftShoulder.x + rightShoulder.x) / 2,
-            y: (leftShoulder.y + rightShoulder.y) / 2
-        };
+        const { events, state } = this.classifier.update(pose, { width: videoWidth, height: videoHeight }, time);
+        if (!state.tracking) return null;
 
-        const currentHips = {
-            y: (leftHip.y + rightHip.y) / 2
-        };
-
-        const currentHead = {
-            y: nose.y
+        // left/right/jump/duck are held while the gesture lasts, events says what started or ended
+        // this frame, lean and crouch how far the player is leaning (-1 right to 1 left) and crouching,
+        // cadence their running in place in steps per minute
+        const movements = {
+            left: state.leaning === 'left',
+            right: state.leaning === 'right',
+            jump: state.airborne,
+            duck: state.ducking,
+            walking: state.cadence > 0,
+            events,
+            lean: state.lean,
+            crouch: state.crouch,
+            cadence: state.cadence
         };
 
-        // Use actual video dimensions for threshold calculations
-        const videoWidth = this.videoElement.videoWidth;
-        const videoHeight = this.videoElement.videoHeight;
+        return movements;
+    }
 
-        // Detect movements using actual video dimensions
-        const movements = {
-            left: (currentShoulders.x - this.baselinePositions.shoulders.x) > this.MOVEMENT_CONFIG.lateral_threshold * videoWidth,
-            right: (this.baselinePositions.shoulders.x - currentShoulders.x) > this.MOVEMENT_CONFIG.lateral_threshold * videoWidth,
-            jump: (this.baselinePositions.head.y - currentHead.y) > this.MOVEMENT_CONFIG.jump_threshold * videoHeight,
-            duck: (currentHips.y - this.baselinePositions.hips.y) > this.MOVEMENT_CONFIG.duck_threshold * videoHeight,
-            walking: this.detectWalking(pose)
-        };
+    // Starts the guided calibration: stand still, then jump, duck and lean each way. Resolves true
+    // once it has finished and the new baseline and thresholds are in use, false if it was stopped.
+    // The wizard only moves on with the detection loop, so without the camera or a replay running
+    // this resolves false straight away. Movement controls are off while it runs.
+    calibrate() {
+        if (this.calibration) {
+            return this.calibrationPromise;
+        }
+        if (!this.isActive) {
+            return Promise.resolve(false);
+        }
+        this.calibration = new PoseCalibration();
+        this.isCalibrated = false;
+        this.calibrationPromise = new Promise((resolve) => {
+            this.resolveCalibration = resolve;
+        });
+        return this.calibrationPromise;
+    }
 
-        // If any non-walking movement is detected, update the baseline positions
-        if (movements.left || movements.right || movements.jump || movements.duck) {
-            // Add a small delay before updating baseline to prevent rapid triggering
-            if (Date.now() - this.lastUpdateTime > 500) { // 500ms cooldown
-                this.baselinePositions = {
-                    shoulders: currentShoulders,
-                    hips: currentHips,
-                    head: currentHead
-                };
-                this.lastUpdateTime = Date.now();
+    // Called from the detection loop for each frame while calibrating
+    stepCalibration(pose, time) {
+        const calibration = this.calibration;
+        const { width, height } = this.getVideoSize();
+        calibration.addFrame(pose, width, height, time);
+        this.drawCalibrationProgress(pose, time);
+
+        const { prompt, stepNumber, stepCount } = calibration.getProgress(time);
+        this.movementLabel.textContent = `Calibrating (${stepNumber}/${stepCount}): ${prompt}`;
+        this.movementLabel.style.backgroundColor = 'rgba(0, 120, 255, 0.3)';
+
+        if (calibration.done) {
+            this.applyCalibration(calibration.result);
+            // A replay calibrates from a recording, that's not something to save
+            if (!this.replay) {
+                this.notifyCalibrationChange();
             }
+            console.log('Calibration successful:', calibration.result);
+            this.movementLabel.textContent = 'Calibration successful - Ready for controls';
+            this.movementLabel.style.backgroundColor = 'rgba(0, 255, 0, 0.3)';
+            this.finishCalibration(true);
         }
+    }
 
-        return movements;
+    // Drops the calibration in use, the wizard runs as soon as the detection loop does
+    clearCalibration() {
+        this.isCalibrated = false;
     }
 
-    calibrate() {
-        return new Promise(async (resolve) => {
-            const pose = await this.detectPose();
-            if (!pose) {
-                this.movementLabel.textContent = 'Calibration failed - No pose detected';
-                this.movementLabel.style.backgroundColor = 'rgba(255, 0, 0, 0.3)';
-                resolve(false);
-                return;
-            }
+    // Use a calibration result: { baseline, thresholds }, thresholds may hold only some of MOVEMENT_CONFIG.
+    // Without a baseline only the thresholds change.
+    applyCalibration({ baseline, thresholds }) {
+        if (thresholds) {
+            Object.assign(this.MOVEMENT_CONFIG, thresholds);
+            this.thresholdControllers.forEach(controller => controller.updateDisplay());
+        }
+        if (baseline) {
+            this.calibratedBaseline = {
+                shoulders: { ...baseline.shoulders },
+                hips: { ...baseline.hips },
+                head: { ...baseline.head }
+            };
+            this.classifier.setCalibration(this.calibratedBaseline, this.MOVEMENT_CONFIG);
+            this.isCalibrated = true;
+        }
+    }
 
-            // Get required keypoints
-            const leftShoulder = pose.keypoints[5];
-            const rightShoulder = pose.keypoints[6];
-            const leftHip = pose.keypoints[11];
-            const rightHip = pose.keypoints[12];
-            const nose = pose.keypoints[0];
+    // A saved calibration, used instead of running the wizard when it has a baseline
+    loadCalibration(calibration) {
+        if (calibration.baseline) {
+            this.finishCalibration(false);
+        }
+        this.applyCalibration(calibration);
+    }
 
-            // Check if all required keypoints are detected with good confidence
-            const requiredKeypoints = [leftShoulder, rightShoulder, leftHip, rightHip, nose];
-            const allKeypointsVisible = requiredKeypoints.every(point => point.score > 0.3);
+    getCalibration() {
+        return {
+            baseline: this.calibratedBaseline ? structuredClone(this.calibratedBaseline) : null,
+            thresholds: { ...this.MOVEMENT_CONFIG }
+        };
+    }
 
-            if (!allKeypointsVisible) {
-                this.movementLabel.textContent = 'Calibration failed - Please face the camera and ensure your full body is visible';
-                this.movementLabel.style.backgroundColor = 'rgba(255, 0, 0, 0.3)';
-                resolve(false);
-                return;
-            }
+    notifyCalibrationChange() {
+        if (this.onCalibrationChange) {
+            this.onCalibrationChange(this.getCalibration());
+        }
+    }
 
-            // Set baseline positions only if all keypoints are visible
-            this.baselinePositions = {
-                shoulders: {
-                    x: (leftShoulder.x + rightShoulder.x) / 2,
-                    y: (leftShoulder.y + rightShoulder.y) / 2
-                },
-                hips: {
-                    y: (leftHip.y + rightHip.y) / 2
-                },
-                head: {
-                    y: nose.y
-                }
-            };
+    finishCalibration(success) {
+        const resolve = this.resolveCalibration;
+        this.calibration = null;
+        this.calibrationPromise = null;
+        this.resolveCalibration = null;
+        if (resolve) {
+            resolve(success);
+        }
+    }
 
-            console.log('Calibration successful with positions:', {
-                shoulders: this.baselinePositions.shoulders,
-                hips: this.baselinePositions.hips,
-                head: this.baselinePositions.head
-            });
+    // Prompt, countdown and progress bar over the video while calibrating
+    drawCalibrationProgress(pose, time) {
+        if (!this.ctx || !this.calibration) return;
 
-            this.isCalibrated = true;
-            this.movementLabel.textContent = 'Calibration successful - Ready for controls';
-            this.movementLabel.style.backgroundColor = 'rgba(0, 255, 0, 0.3)';
-            resolve(true);
-        });
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        if (!pose) {
+            ctx.clearRect(0, 0, width, height); // drawBoundingBox only clears when there's a pose
+        }
+        const { prompt, progress, countdown, stepNumber, stepCount } = this.calibration.getProgress(time);
+
+        ctx.save();
+        // The canvas is mirrored along with the video, flip it back so the text reads normally
+        ctx.translate(width, 0);
+        ctx.scale(-1, 1);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, 0, width, 36);
+        ctx.fillStyle = 'white';
+        ctx.font = 'bold 16px Arial';
+        ctx.fillText(prompt, width / 2, 18);
+
+        if (countdown > 0) {
+            ctx.font = `bold ${Math.round(height / 4)}px Arial`;
+            ctx.fillText(String(countdown), width / 2, height / 2);
+        }
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, height - 28, width, 28);
+        ctx.fillStyle = '#2196F3';
+        ctx.fillRect(8, height - 10, (width - 16) * progress, 4);
+        ctx.fillStyle = 'white';
+        ctx.font = '12px Arial';
+        ctx.fillText(`Step ${stepNumber} of ${stepCount}`, width / 2, height - 19);
+        ctx.restore();
     }
 
     async start() {
@@ -564,35 +688,56 @@ export class PoseController {
             if (this.videoContainer && this.videoContainer.style.display !== 'block') {
                 this.videoContainer.style.display = 'block';
             }
-            
-            // Try to calibrate if not calibrated
-            if (!this.isCalibrated) {
-                const calibrated = await this.calibrate();
-                if (!calibrated) {
-                    return; // Skip movement detection if calibration fails
+
+            // Every recorded frame has been handled
+            if (this.replay?.isFinished()) {
+                const restartCamera = this.restartCameraAfterReplay;
+                this.restartCameraAfterReplay = false;
+                this.stop();
+                if (restartCamera) {
+                    this.start().catch(() => {});
                 }
+                return;
             }
-            
-            const movements = await this.detectMovement();
-            if (movements) {
-                const activeMovements = [];
-                if (movements.left) activeMovements.push('Left');
-                if (movements.right) activeMovements.push('Right');
-                if (movements.jump) activeMovements.push('Jump');
-                if (movements.duck) activeMovements.push('Duck');
-                if (movements.walking) activeMovements.push('Walking');
-                
-                this.movementLabel.textContent = activeMovements.length > 0 
-                    ? activeMovements.join(', ')
-                    : 'Standing still';
-                if (this.onControlsUpdate) {
-
-                    this.onControlsUpdate(movements);
-                }
+
+            const frames = await this.readFrames();
+            for (const { poses, time } of frames) {
+                if (!this.isActive) return; // Stopped while we were detecting
+                this.handleFrame(poses, time);
             }
         }, 1000/30); // 30fps detection rate
     }
 
+    handleFrame(poses, time) {
+        const pose = this.detectPose(poses, time);
+
+        // Calibrate first, movement detection needs the baseline
+        if (!this.isCalibrated && !this.calibration) {
+            this.calibrate();
+        }
+        if (this.calibration) {
+            this.stepCalibration(pose, time);
+            return;
+        }
+
+        const movements = this.detectMovement(pose, time);
+        if (movements) {
+            const activeMovements = [];
+            if (movements.left) activeMovements.push('Left');
+            if (movements.right) activeMovements.push('Right');
+            if (movements.jump) activeMovements.push('Jump');
+            if (movements.duck) activeMovements.push('Duck');
+            if (movements.walking) activeMovements.push(`Running ${Math.round(movements.cadence)} spm`);
+
+            this.movementLabel.textContent = activeMovements.length > 0
+                ? activeMovements.join(', ')
+                : 'Standing still';
+            if (this.onControlsUpdate) {
+                this.onControlsUpdate(movements);
+            }
+        }
+    }
+
     stop() {
         console.log('Stopping pose controller');
         this.isActive = false;
@@ -609,6 +754,10 @@ export class PoseController {
             clearInterval(this.detectionInterval);
             this.detectionInterval = null;
         }
+        this.finishCalibration(false);
+        this.classifier.reset();
+        this.recorder = null;
+        this.endReplay();
         
         // Stop the video stream
         if (this.videoElement && this.videoElement.srcObject) {
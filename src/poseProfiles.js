@@ -0,0 +1,121 @@
+import { loadJSON, saveJSON } from './storage.js';
+
+const STORAGE_KEY = 'poseProfiles';
+const MAX_NAME_LENGTH = 24;
+const THRESHOLD_KEYS = ['lateral_threshold', 'jump_threshold', 'duck_threshold', 'walk_threshold'];
+
+export function cleanProfileName(name) {
+    return typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+}
+
+function isPoint(point, keys) {
+    return point !== null && typeof point === 'object' && keys.every(key => Number.isFinite(point[key]));
+}
+
+// Loose check for profiles coming from storage or an imported file. A profile that hasn't been
+// calibrated yet has no baseline and no thresholds.
+function isValidProfile(profile) {
+    if (profile === null || typeof profile !== 'object' || !cleanProfileName(profile.name)) {
+        return false;
+    }
+    const { baseline, thresholds } = profile;
+    const validBaseline = baseline === null || (baseline && typeof baseline === 'object' &&
+        isPoint(baseline.shoulders, ['x', 'y']) && isPoint(baseline.hips, ['y']) && isPoint(baseline.head, ['y']));
+    const validThresholds = thresholds === null || (thresholds && typeof thresholds === 'object' &&
+        THRESHOLD_KEYS.every(key => thresholds[key] === undefined || Number.isFinite(thresholds[key])));
+    return Boolean(validBaseline && validThresholds);
+}
+
+// Named pose calibrations saved in localStorage, so several people can share a machine and pick
+// up their own baseline and thresholds without recalibrating
+export class PoseProfiles {
+    constructor() {
+        const data = loadJSON(STORAGE_KEY, null);
+        this.profiles = this.parseProfiles(data) || [];
+        this.activeName = this.get(data?.active)?.name ?? null;
+    }
+
+    parseProfiles(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.profiles)) {
+            return null;
+        }
+        const profiles = new Map();
+        data.profiles.filter(isValidProfile).forEach(profile => {
+            const name = cleanProfileName(profile.name);
+            profiles.set(name, {
+                name,
+                baseline: profile.baseline ?? null,
+                thresholds: profile.thresholds ? Object.fromEntries(THRESHOLD_KEYS
+                    .filter(key => profile.thresholds[key] !== undefined)
+                    .map(key => [key, profile.thresholds[key]])) : null,
+                updatedAt: typeof profile.updatedAt === 'string' ? profile.updatedAt : new Date().toISOString()
+            });
+        });
+        return [...profiles.values()];
+    }
+
+    save() {
+        saveJSON(STORAGE_KEY, { version: 1, active: this.activeName, profiles: this.profiles });
+    }
+
+    get(name) {
+        return this.profiles.find(profile => profile.name === name) || null;
+    }
+
+    getActive() {
+        return this.get(this.activeName);
+    }
+
+    // Makes the named profile the one calibrations are saved to, creating it if needed.
+    // Null goes back to calibrating every time without saving. Returns the profile.
+    setActive(name) {
+        const cleaned = name === null ? '' : cleanProfileName(name);
+        if (!cleaned) {
+            this.activeName = null;
+            this.save();
+            return null;
+        }
+        if (!this.get(cleaned)) {
+            this.profiles.push({ name: cleaned, baseline: null, thresholds: null, updatedAt: new Date().toISOString() });
+        }
+        this.activeName = cleaned;
+        this.save();
+        return this.get(cleaned);
+    }
+
+    // Stores a calibration ({ baseline, thresholds }) in the active profile, if there is one
+    updateActive({ baseline, thresholds }) {
+        const profile = this.getActive();
+        if (!profile) return false;
+        profile.baseline = baseline;
+        profile.thresholds = { ...thresholds };
+        profile.updatedAt = new Date().toISOString();
+        this.save();
+        return true;
+    }
+
+    remove(name) {
+        this.profiles = this.profiles.filter(profile => profile.name !== name);
+        if (this.activeName === name) {
+            this.activeName = null;
+        }
+        this.save();
+    }
+
+    exportJSON() {
+        return JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), profiles: this.profiles }, null, 2);
+    }
+
+    // Adds the profiles from an exported file, replacing any with the same name.
+    // Returns the number of profiles imported, throws if the file isn't a profile export.
+    importJSON(text) {
+        const imported = this.parseProfiles(JSON.parse(text));
+        if (!imported) {
+            throw new Error('Not a pose profile file');
+        }
+        const names = new Set(imported.map(profile => profile.name));
+        this.profiles = [...this.profiles.filter(profile => !names.has(profile.name)), ...imported];
+        this.save();
+        return imported.length;
+    }
+}
@@ -0,0 +1,134 @@
+// Recording and replay of the pose detector's output.
+// A recording is the stream of estimatePoses results with the time each frame was detected and the
+// video size the keypoints refer to. Replaying one exercises the gesture logic exactly as the live
+// detector would, without a camera: through PoseController to watch it in the game, or headless
+// with replayRecording, so a tricky session can be kept as a fixture while tuning detection.
+import { DEFAULT_THRESHOLDS, PoseCalibration } from './poseCalibration.js';
+import { PoseClassifier } from './poseClassifier.js';
+
+const RECORDING_VERSION = 1;
+
+function round(value, places) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+// Keeps what the gesture code reads, rounded so long recordings stay a manageable size
+function compactPose(pose) {
+    return {
+        score: pose.score === undefined ? undefined : round(pose.score, 3),
+        keypoints: pose.keypoints.map(({ x, y, score, name }) => ({ x: round(x, 1), y: round(y, 1), score: round(score, 3), name }))
+    };
+}
+
+export class PoseRecorder {
+    constructor(videoWidth, videoHeight, startedAt = performance.now()) {
+        this.videoWidth = videoWidth;
+        this.videoHeight = videoHeight;
+        this.startedAt = startedAt;
+        this.frames = []; // { time, poses }, time in milliseconds since the recording started
+    }
+
+    // Every detector result goes in, empty ones too: "no one in frame" matters to the gesture logic
+    add(poses, now = performance.now()) {
+        this.frames.push({ time: Math.round(now - this.startedAt), poses: poses.map(compactPose) });
+    }
+
+    toJSON() {
+        return {
+            version: RECORDING_VERSION,
+            recordedAt: new Date().toISOString(),
+            videoWidth: this.videoWidth,
+            videoHeight: this.videoHeight,
+            frames: this.frames
+        };
+    }
+}
+
+function isValidKeypoint(point) {
+    return point !== null && typeof point === 'object' &&
+        Number.isFinite(point.x) && Number.isFinite(point.y) && Number.isFinite(point.score);
+}
+
+// Parses a saved recording, throws if the text isn't one
+export function parseRecording(text) {
+    const data = JSON.parse(text);
+    if (!data || data.version !== RECORDING_VERSION ||
+        !(data.videoWidth > 0) || !(data.videoHeight > 0) || !Array.isArray(data.frames)) {
+        throw new Error('Not a pose recording');
+    }
+    const validFrames = data.frames.every(frame => frame && Number.isFinite(frame.time) && Array.isArray(frame.poses) &&
+        frame.poses.every(pose => pose && Array.isArray(pose.keypoints) && pose.keypoints.every(isValidKeypoint)));
+    if (!validFrames || data.frames.length === 0) {
+        throw new Error('Pose recording has no usable frames');
+    }
+    return data;
+}
+
+function sortFrames(frames) {
+    return [...frames].sort((a, b) => a.time - b.time);
+}
+
+// Stands in for the live detector. Every recorded frame is handed out once, in order, with the time
+// it was recorded at: takeFrames returns the frames that have come due since the replay started, so
+// playback keeps pace with the recording while the gesture code goes by the recorded timestamps and
+// not by when it happened to poll.
+export class RecordedPoseSource {
+    constructor(recording, startedAt = performance.now()) {
+        this.videoWidth = recording.videoWidth;
+        this.videoHeight = recording.videoHeight;
+        this.frames = sortFrames(recording.frames);
+        this.startedAt = startedAt;
+        this.frameIndex = 0; // Next frame to hand out
+    }
+
+    get duration() {
+        return this.frames[this.frames.length - 1].time;
+    }
+
+    isFinished() {
+        return this.frameIndex >= this.frames.length;
+    }
+
+    takeFrames(now = performance.now()) {
+        const elapsed = now - this.startedAt;
+        const due = [];
+        while (this.frameIndex < this.frames.length && this.frames[this.frameIndex].time <= elapsed) {
+            // Copies, the gesture code is free to hold on to what it gets
+            due.push(structuredClone(this.frames[this.frameIndex]));
+            this.frameIndex++;
+        }
+        return due;
+    }
+}
+
+// Runs a recording through the gesture code as fast as it goes, with no camera, detector or DOM:
+// the calibration wizard first when there's no baseline, like PoseController does, then the
+// classifier, each frame with its recorded time. The same recording and calibration always give
+// the same result. Returns { calibration, frames: [{ time, events, state }] }, frames only from
+// once calibrated.
+export function replayRecording(recording, calibration = recording.calibration) {
+    const size = { width: recording.videoWidth, height: recording.videoHeight };
+    const thresholds = { ...DEFAULT_THRESHOLDS, ...calibration?.thresholds };
+    let baseline = calibration?.baseline ?? null;
+    let wizard = baseline ? null : new PoseCalibration();
+    const classifier = new PoseClassifier(baseline, thresholds);
+    const frames = [];
+
+    for (const { time, poses } of sortFrames(recording.frames)) {
+        const pose = poses[0] ?? null;
+        if (wizard) {
+            wizard.addFrame(pose, size.width, size.height, time);
+            if (wizard.done) {
+                baseline = wizard.result.baseline;
+                Object.assign(thresholds, wizard.result.thresholds);
+                classifier.setCalibration(baseline, thresholds);
+                wizard = null;
+            }
+            continue;
+        }
+        const { events, state } = classifier.update(pose, size, time);
+        frames.push({ time, events, state });
+    }
+    return { calibration: { baseline, thresholds }, frames };
+}
@@ -0,0 +1,92 @@
+// Power-up registry. Each type is a timed effect started by picking it up:
+//   duration - seconds the effect lasts, picking it up again restarts the timer
+//   color    - color of the pickup and its HUD timer
+export const POWER_UP_TYPES = {
+    // Absorbs one hit, used up by the collision
+    shield: {
+        label: 'Shield',
+        color: 0x33ccff,
+        duration: 10
+    },
+    // Pulls in coins within radius world units
+    magnet: {
+        label: 'Magnet',
+        color: 0xff3366,
+        duration: 8,
+        radius: 6
+    },
+    // Multiplies the distance score
+    multiplier: {
+        label: 'Score x2',
+        color: 0x66ff33,
+        duration: 10,
+        factor: 2
+    },
+    // Scales the run speed
+    slowMotion: {
+        label: 'Slow-mo',
+        color: 0xcc66ff,
+        duration: 5,
+        factor: 0.5
+    }
+};
+
+// Tracks the active power-ups and their remaining time.
+// Timers only advance in update(), which the game calls from its simulation tick,
+// so they stop while the game is paused or over.
+export class PowerUpManager {
+    constructor() {
+        this.active = new Map(); // type -> seconds left
+    }
+
+    activate(type) {
+        const definition = POWER_UP_TYPES[type];
+        if (!definition) return;
+        this.active.set(type, definition.duration);
+    }
+
+    update(deltaTime) {
+        for (const [type, remaining] of this.active) {
+            if (remaining - deltaTime <= 0) {
+                this.active.delete(type);
+            } else {
+                this.active.set(type, remaining - deltaTime);
+            }
+        }
+    }
+
+    isActive(type) {
+        return this.active.has(type);
+    }
+
+    // Ends an effect early, returns whether it was active (used by the shield when it takes a hit)
+    consume(type) {
+        return this.active.delete(type);
+    }
+
+    clear() {
+        this.active.clear();
+    }
+
+    getScoreMultiplier() {
+        return this.isActive('multiplier') ? POWER_UP_TYPES.multiplier.factor : 1;
+    }
+
+    getSpeedFactor() {
+        return this.isActive('slowMotion') ? POWER_UP_TYPES.slowMotion.factor : 1;
+    }
+
+    getMagnetRadius() {
+        return this.isActive('magnet') ? POWER_UP_TYPES.magnet.radius : 0;
+    }
+
+    // Active effects with whole seconds left, for the HUD
+    getTimers() {
+        return [...this.active].map(([type, remaining]) => ({
+            type,
+            label: POWER_UP_TYPES[type].label,
+            color: POWER_UP_TYPES[type].color,
+            seconds: Math.ceil(remaining)
+        }));
+    }
+}
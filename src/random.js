@@ -0,0 +1,35 @@
+// Seeded pseudo random number generator (mulberry32).
+// Every spawn decision goes through this so two clients given the same seed build the same course.
+export class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.setSeed(seed);
+    }
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Returns a float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Returns an integer in [0, max)
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    // Returns a float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+}
@@ -0,0 +1,76 @@
+// Jitter buffer for a remote player's position updates.
+// Snapshots are stamped with the sender's clock. We render a little in the past (delay) so there is
+// usually a snapshot on either side to interpolate between, and extrapolate from the last two for a
+// short while when packets are late.
+export class SnapshotBuffer {
+    constructor({ delay = 100, maxExtrapolation = 250, maxSnapshots = 30 } = {}) {
+        this.delay = delay;                       // Milliseconds we render behind the newest snapshot
+        this.maxExtrapolation = maxExtrapolation; // Milliseconds to keep moving past the last snapshot
+        this.maxSnapshots = maxSnapshots;
+        this.snapshots = []; // { time, position: { x, y, z }, animation }, oldest first
+        this.clockOffset = null; // Local time minus sender time, for the fastest packet seen
+    }
+
+    push(time, position, animation, receivedAt = performance.now()) {
+        const last = this.snapshots[this.snapshots.length - 1];
+        if (last && time <= last.time) {
+            // The sender's clock restarted (page reload), anything older is meaningless now
+            if (time < last.time - 1000) {
+                this.clear();
+            } else {
+                return; // Out of order or duplicate
+            }
+        }
+
+        // The packet that arrived quickest gives the best estimate of the clock difference,
+        // later ones only differ by how long they were held up on the way
+        const offset = receivedAt - time;
+        this.clockOffset = this.clockOffset === null ? offset : Math.min(this.clockOffset, offset);
+
+        this.snapshots.push({ time, position: { x: position.x, y: position.y, z: position.z }, animation });
+        if (this.snapshots.length > this.maxSnapshots) {
+            this.snapshots.shift();
+        }
+    }
+
+    // Position and animation to show at local time now, or null before the first snapshot
+    sample(now = performance.now()) {
+        if (this.snapshots.length === 0) return null;
+
+        const renderTime = now - this.clockOffset - this.delay;
+        const first = this.snapshots[0];
+        if (renderTime <= first.time || this.snapshots.length === 1) {
+            return { position: { ...first.position }, animation: first.animation };
+        }
+
+        // Interpolate between the snapshots either side of the render time
+        for (let i = this.snapshots.length - 1; i > 0; i--) {
+            const from = this.snapshots[i - 1];
+            const to = this.snapshots[i];
+            if (renderTime >= from.time && renderTime <= to.time) {
+                const t = (renderTime - from.time) / (to.time - from.time);
+                return { position: lerpPosition(from.position, to.position, t), animation: from.animation };
+            }
+        }
+
+        // Late: carry on at the last known velocity for a while, then hold
+        const from = this.snapshots[this.snapshots.length - 2];
+        const to = this.snapshots[this.snapshots.length - 1];
+        const ahead = Math.min(renderTime - to.time, this.maxExtrapolation);
+        const t = 1 + ahead / (to.time - from.time);
+        return { position: lerpPosition(from.position, to.position, t), animation: to.animation };
+    }
+
+    clear() {
+        this.snapshots = [];
+        this.clockOffset = null;
+    }
+}
+
+function lerpPosition(from, to, t) {
+    return {
+        x: from.x + (to.x - from.x) * t,
+        y: from.y + (to.y - from.y) * t,
+        z: from.z + (to.z - from.z) * t
+    };
+}
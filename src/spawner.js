@@ -0,0 +1,130 @@
+import { SeededRandom } from './random.js';
+import { OBSTACLE_TYPES, getSpawnTable, pickWeighted } from './obstacleTypes.js';
+import { POWER_UP_TYPES } from './powerUps.js';
+
+// Decides where obstacles, coins and power-ups go along the course.
+// Positions are virtual distances from the start line, so the layout only depends on the seed
+// and the course settings passed to reset, not on frame timing - players sharing a seed and
+// settings race the same course.
+// The course is generated in order, one obstacle and the gap after it at a time, so coins
+// and power-ups placed in a gap can never end up inside an obstacle.
+
+// Where multiplayer courses start, whatever the local Spawn Distance setting says
+export const MULTIPLAYER_SPAWN_DISTANCE = 30;
+
+export class ObstacleSpawner {
+    constructor() {
+        this.course = null; // Settings the course is generated from, copied at reset
+        this.random = new SeededRandom();
+        this.initialSpacing = 15; // Space between the obstacles on the road when the run starts
+        this.minGap = 5;          // Never schedule two obstacles closer than this
+        this.coinChance = 0.35;   // Chance of a coin pattern after an obstacle
+        this.coinSpacing = 2;     // Distance between coins in a pattern
+        this.coinClearance = 2;   // Keep coins this far from the obstacles around them
+        this.coinHeight = 2;      // y of the coin center, level with the running player
+        this.arcHeight = 1.5;     // Extra height at the top of a coin arc
+        this.powerUpChance = 0.06; // Chance of a power-up in a gap without coins
+        this.nextSpawnDistance = 0;
+    }
+
+    // course: { spawnDistance, roadLength, obstacleSpeed, spawnRate, difficulty, laneCount }.
+    // Copied, so changing settings during a run doesn't reshape the rest of its course.
+    reset(seed, course) {
+        this.random.setSeed(seed);
+        this.course = { ...course };
+        this.nextSpawnDistance = this.course.spawnDistance;
+    }
+
+    // The road visible at the start is laid out at a fixed spacing, after that the average gap
+    // keeps the old per-frame spawn chance meaningful: at the base speed, spawnRate was the
+    // chance of an obstacle per frame
+    rollGap(distance) {
+        if (distance < this.course.roadLength) {
+            return this.initialSpacing;
+        }
+        const averageGap = this.course.obstacleSpeed / this.course.spawnRate;
+        return Math.max(this.minGap, averageGap * this.random.range(0.5, 1.5));
+    }
+
+    rollLane() {
+        return this.random.nextInt(this.course.laneCount);
+    }
+
+    // Type comes from the weighted table for how far along the course the obstacle is
+    rollType(distance) {
+        const table = getSpawnTable(distance, this.course.difficulty);
+        return pickWeighted(table.weights, this.random.next());
+    }
+
+    createSpawn(distance) {
+        // Always roll everything so the random sequence doesn't depend on the type
+        const type = this.rollType(distance);
+        const lane = this.rollLane();
+        const phase = this.random.next(); // Starting point of a mover's drift
+        return { kind: 'obstacle', distance, lane, type, phase };
+    }
+
+    // Coins go over jump obstacles as an arc, otherwise as a line through the gap that follows
+    createCoinPattern(obstacle, gap) {
+        // Rolled before deciding so the random sequence is the same with or without coins
+        const roll = this.random.next();
+        const lane = this.rollLane();
+        if (roll >= this.coinChance) {
+            return [];
+        }
+        if (OBSTACLE_TYPES[obstacle.type].avoid === 'jump') {
+            return this.createCoinArc(obstacle.distance, obstacle.lane);
+        }
+        return this.createCoinLine(obstacle.distance + this.coinClearance, obstacle.distance + gap - this.coinClearance, lane);
+    }
+
+    createCoinLine(fromDistance, toDistance, lane) {
+        const coins = [];
+        for (let distance = fromDistance; distance <= toDistance; distance += this.coinSpacing) {
+            coins.push(this.createCoin(distance, lane, this.coinHeight));
+        }
+        return coins;
+    }
+
+    // Follows a jump: highest over the obstacle, back at running height a few units either side
+    createCoinArc(centerDistance, lane) {
+        const halfLength = 3;
+        const coins = [];
+        for (let offset = -halfLength; offset <= halfLength; offset += this.coinSpacing * 0.75) {
+            const t = offset / halfLength;
+            coins.push(this.createCoin(centerDistance + offset, lane, this.coinHeight + this.arcHeight * (1 - t * t)));
+        }
+        return coins;
+    }
+
+    createCoin(distance, lane, height) {
+        return { kind: 'coin', distance, lane, height };
+    }
+
+    // A power-up floats in the middle of the gap, unless coins already use it
+    createPowerUp(distance, gapHasCoins) {
+        // Rolled before deciding so the random sequence doesn't depend on the coins
+        const roll = this.random.next();
+        const type = pickWeighted(Object.fromEntries(Object.keys(POWER_UP_TYPES).map(key => [key, 1])), this.random.next());
+        const lane = this.rollLane();
+        if (gapHasCoins || roll >= this.powerUpChance) {
+            return [];
+        }
+        return [{ kind: 'powerUp', distance, lane, type, height: this.coinHeight }];
+    }
+
+    // Returns everything scheduled up to the end of the road ahead of the player,
+    // ordered by distance. Call with 0 for the layout at the start of a run.
+    update(playerDistance) {
+        const spawns = [];
+        const horizon = playerDistance + this.course.roadLength;
+        while (this.nextSpawnDistance <= horizon) {
+            const obstacle = this.createSpawn(this.nextSpawnDistance);
+            const gap = this.rollGap(this.nextSpawnDistance);
+            const coins = this.createCoinPattern(obstacle, gap);
+            spawns.push(obstacle, ...coins, ...this.createPowerUp(obstacle.distance + gap / 2, coins.length > 0));
+            this.nextSpawnDistance += gap;
+        }
+        return spawns;
+    }
+}
@@ -0,0 +1,37 @@
+// Small localStorage wrapper for data kept between sessions.
+// Storage can be unavailable (private browsing, quota), so failures fall back instead of throwing.
+// Pass { session: true } for sessionStorage, which lasts as long as the tab: it survives a reload
+// but isn't shared with other tabs.
+const KEY_PREFIX = 'endlessRunner.';
+
+function getStorage(session) {
+    return session ? window.sessionStorage : window.localStorage;
+}
+
+export function loadJSON(key, fallback, { session = false } = {}) {
+    try {
+        const raw = getStorage(session).getItem(KEY_PREFIX + key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch (error) {
+        console.error('Failed to load saved data:', key, error);
+        return fallback;
+    }
+}
+
+export function saveJSON(key, value, { session = false } = {}) {
+    try {
+        getStorage(session).setItem(KEY_PREFIX + key, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        console.error('Failed to save data:', key, error);
+        return false;
+    }
+}
+
+export function removeJSON(key, { session = false } = {}) {
+    try {
+        getStorage(session).removeItem(KEY_PREFIX + key);
+    } catch (error) {
+        console.error('Failed to remove saved data:', key, error);
+    }
+}
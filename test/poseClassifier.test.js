@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PoseClassifier } from '../src/poseClassifier.js';
+import { replayRecording } from '../src/poseRecording.js';
+
+const WIDTH = 320;
+const HEIGHT = 240;
+const FRAME = 33; // Milliseconds between frames, the detection loop runs at 30 fps
+
+const BASELINE = { shoulders: { x: 160, y: 80 }, hips: { y: 160 }, head: { y: 50 } };
+// In pixels: lateral 16, jump and duck 24, step 12
+const THRESHOLDS = { lateral_threshold: 0.05, jump_threshold: 0.1, duck_threshold: 0.1, walk_threshold: 0.05 };
+
+// A MoveNet pose moved from the baseline by pixels: lean (shoulders sideways, positive is the
+// player's left), rise (head up), drop (hips down) and legs (left knee and ankle up, negative for right)
+function makePose({ lean = 0, rise = 0, drop = 0, legs = 0 } = {}) {
+    const ys = [BASELINE.head.y - rise, 0, 0, 0, 0, 80, 80, 0, 0, 0, 0, 160 + drop, 160 + drop,
+        200 - Math.max(legs, 0), 200 - Math.max(-legs, 0), 235 - Math.max(legs, 0), 235 - Math.max(-legs, 0)];
+    const xs = { 5: 20, 6: -20 };
+    return {
+        keypoints: ys.map((y, index) => ({ x: BASELINE.shoulders.x + lean + (xs[index] ?? 0), y, score: 0.9 }))
+    };
+}
+
+// Feeds one frame per entry of offsets, returns every event as [time, name]
+function play(classifier, clock, offsets) {
+    const events = [];
+    for (const offset of offsets) {
+        clock.time += FRAME;
+        const result = classifier.update(makePose(offset), { width: WIDTH, height: HEIGHT }, clock.time);
+        result.events.forEach(name => events.push([clock.time, name]));
+    }
+    return events;
+}
+
+const hold = (offset, frames) => Array(frames).fill(offset);
+const ramp = (key, from, to, frames) => Array.from({ length: frames }, (_, i) => ({ [key]: from + (to - from) * (i + 1) / frames }));
+
+function setup() {
+    const classifier = new PoseClassifier(BASELINE, { ...THRESHOLDS });
+    const clock = { time: 0 };
+    play(classifier, clock, hold({}, 30));
+    return { classifier, clock };
+}
+
+const names = events => events.map(([, name]) => name);
+
+test('a quick lean past the threshold starts one lane change and keeps registering while held', () => {
+    const { classifier, clock } = setup();
+    const events = play(classifier, clock, [...ramp('lean', 0, 24, 4), ...hold({ lean: 24 }, 90)]);
+    assert.deepEqual(names(events), ['laneLeft']);
+    assert.equal(classifier.getState(true).leaning, 'left');
+});
+
+test('a lean short of the threshold does nothing', () => {
+    const { classifier, clock } = setup();
+    const events = play(classifier, clock, [...ramp('lean', 0, -14, 4), ...hold({ lean: -14 }, 30)]);
+    assert.deepEqual(events, []);
+    assert.equal(classifier.getState(true).leaning, null);
+});
+
+test('a lean ends only once it falls back below the release level', () => {
+    const { classifier, clock } = setup();
+    play(classifier, clock, [...ramp('lean', 0, -24, 4), ...hold({ lean: -24 }, 10)]);
+    assert.equal(classifier.getState(true).leaning, 'right');
+
+    // 11 px is under the 16 px threshold but above the 9.6 px release level
+    play(classifier, clock, hold({ lean: -11 }, 10));
+    assert.equal(classifier.getState(true).leaning, 'right');
+
+    play(classifier, clock, hold({ lean: -9 }, 2));
+    assert.equal(classifier.getState(true).leaning, null);
+});
+
+test('drifting slowly past the threshold is not a lean', () => {
+    const { classifier, clock } = setup();
+    const events = play(classifier, clock, ramp('lean', 0, 40, 300)); // 40 px over 10 seconds
+    assert.deepEqual(events, []);
+});
+
+test('a jump starts and ends, and another one straight after is ignored', () => {
+    const { classifier, clock } = setup();
+    const jump = [...ramp('rise', 0, 40, 2), ...hold({ rise: 40 }, 5), ...hold({}, 1)];
+
+    const first = play(classifier, clock, jump);
+    assert.deepEqual(names(first), ['jumpStart', 'jumpEnd']);
+    const endedAt = first[1][0];
+
+    // All of it within the 400 ms debounce
+    const second = play(classifier, clock, [...hold({}, 2), ...jump]);
+    assert.deepEqual(second, []);
+    assert.ok(clock.time - endedAt < 400);
+
+    const third = play(classifier, clock, [...hold({}, 15), ...jump]);
+    assert.deepEqual(names(third), ['jumpStart', 'jumpEnd']);
+    assert.ok(third[0][0] - endedAt >= 400);
+});
+
+test('ducking reports duckStart and duckEnd', () => {
+    const { classifier, clock } = setup();
+    const events = play(classifier, clock, [...ramp('drop', 0, 36, 3), ...hold({ drop: 36 }, 20), ...hold({}, 2)]);
+    assert.deepEqual(names(events), ['duckStart', 'duckEnd']);
+});
+
+test('running in place gives the cadence in steps per minute', () => {
+    const { classifier, clock } = setup();
+    // 150 steps per minute: each leg comes up every 800 ms
+    const frames = Array.from({ length: 150 }, (_, i) => ({ legs: 30 * Math.sin(2 * Math.PI * (i + 1) * FRAME / 800) }));
+    play(classifier, clock, frames);
+    const { cadence } = classifier.getState(true);
+    assert.ok(Math.abs(cadence - 150) < 10, `cadence ${cadence}`);
+
+    play(classifier, clock, hold({}, 60));
+    assert.equal(classifier.getState(true).cadence, 0);
+});
+
+test('replaying a recording gives the same events every time', () => {
+    const offsets = [...hold({}, 30), ...ramp('lean', 0, 24, 4), ...hold({ lean: 24 }, 20), ...hold({}, 20),
+        ...ramp('rise', 0, 40, 2), ...hold({ rise: 40 }, 5), ...hold({}, 20)];
+    // Uneven frame times, as the detector delivers them
+    let time = 0;
+    const frames = offsets.map((offset, index) => {
+        time += FRAME + (index % 3) * 7;
+        return { time, poses: [makePose(offset)] };
+    });
+    const recording = {
+        version: 1, videoWidth: WIDTH, videoHeight: HEIGHT, frames,
+        calibration: { baseline: BASELINE, thresholds: THRESHOLDS }
+    };
+
+    const events = result => result.frames.flatMap(frame => frame.events.map(name => [frame.time, name]));
+    const first = events(replayRecording(recording));
+    assert.deepEqual(first.map(([, name]) => name), ['laneLeft', 'jumpStart', 'jumpEnd']);
+    assert.deepEqual(events(replayRecording(recording)), first);
+});
@@ -8,6 +8,10 @@ export default defineConfig({
         allowedHosts: true,
         port: 3000,
         proxy: {
+            '/api': {
+                target: 'http://localhost:3001',
+                changeOrigin: true
+            },
             '/ws': {
                 target: 'ws://localhost:3001',
                 ws: true,